@@ -0,0 +1,19 @@
+// The app's name and how it looks once installed. App.vue titles the pages
+// and the sidebar with it, vite.config.js builds the web app manifest from
+// it (see vite/pwa.js). These are fixed when the app is built.
+export default {
+	name: "Frappe UI Starter",
+	// under the icon on a home screen
+	shortName: "Starter",
+	description: "A Frappe app built with Frappe UI",
+	// the title bar of the installed app, and the splash screen behind the icon
+	themeColor: "#FFFFFF",
+	backgroundColor: "#FFFFFF",
+	// the title bar while the system is in dark mode
+	darkThemeColor: "#171717",
+	// in public/, square PNGs
+	icons: [
+		{ src: "icon-192.png", sizes: "192x192" },
+		{ src: "icon-512.png", sizes: "512x512" },
+	],
+}
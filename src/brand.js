@@ -0,0 +1,31 @@
+// The brand palette, declared once. tailwind.config.js turns it into
+// `brand-*` classes and paints frappe-ui's blue accents with it (solid blue
+// buttons, links, badges, focus rings), in light and dark mode.
+// Out of the box it is frappe-ui's own blue.
+export default {
+	light: {
+		50: "#F2F9FF",
+		100: "#E6F4FF",
+		200: "#C8E6FF",
+		300: "#A7D7FD",
+		400: "#73BBF6",
+		500: "#0289F7",
+		600: "#007BE0",
+		700: "#0070CC",
+		800: "#005CA3",
+		900: "#004880",
+	},
+	// the same steps for dark backgrounds: 50 is the lightest, 900 the darkest
+	dark: {
+		50: "#C9E0F5",
+		100: "#ADD2F5",
+		200: "#8CC1EC",
+		300: "#5AAEF2",
+		400: "#3294E3",
+		500: "#1580D8",
+		600: "#155999",
+		700: "#063D71",
+		800: "#052B53",
+		900: "#0E2037",
+	},
+}
@@ -0,0 +1,40 @@
+import { getCurrentScope, onScopeDispose, shallowReactive } from "vue"
+import { session } from "./data/session"
+
+// The actions listed in the command palette:
+// { title, action, icon (a feather icon name), keywords (more texts the
+// command is found by) }
+export const commands = shallowReactive([])
+
+// Adds a command for good, returns a function that removes it again
+export function registerCommand(command) {
+	const entry = { keywords: [], ...command }
+	commands.push(entry)
+	return () => {
+		const index = commands.indexOf(entry)
+		if (index !== -1) {
+			commands.splice(index, 1)
+		}
+	}
+}
+
+// Adds commands for as long as the calling component is mounted, for
+// actions that only make sense on one page
+export function useCommands(...list) {
+	const unregister = list.map(registerCommand)
+	if (getCurrentScope()) {
+		onScopeDispose(() => {
+			for (const remove of unregister) {
+				remove()
+			}
+		})
+	}
+	return unregister
+}
+
+registerCommand({
+	title: "Logout",
+	icon: "log-out",
+	keywords: ["sign out"],
+	action: () => session.logout.submit(),
+})
@@ -0,0 +1,51 @@
+import { call } from "frappe-ui"
+import { reactive } from "vue"
+
+// The jinjaBootData plugin renders `window[key] = boot[key]` into
+// frontend.html for every key of the context.boot built in www/frontend.py.
+// None of them exist on the Vite dev server.
+const rendered = window.user !== undefined
+
+export const boot = reactive({
+	rendered,
+	user: window.user === "Guest" ? null : window.user || null,
+	roles: window.roles || [],
+	csrfToken: window.csrf_token || null,
+	siteName: window.site_name || window.location.hostname,
+	lang: window.lang || "en",
+	// the site's translations into lang, see src/translation.js
+	translations: window.translations || null,
+	// User.desk_theme: "Light", "Dark" or "Automatic", see src/theme.js
+	deskTheme: window.desk_theme || null,
+	systemSettings: window.system_settings || {},
+	disableSignup: window.disable_signup,
+	disableUserPassLogin: !!Number(window.disable_user_pass_login),
+	socialLoginProviders: window.social_login_providers || [],
+	socketioPort: window.socketio_port || null,
+	socketioUrl: window.socketio_url || null,
+})
+
+let loading = null
+
+// Resolves with the boot data, asking the server for it when the page was
+// not rendered by Frappe. The desk's boot info is more than we need, but
+// it is only ever fetched while developing.
+export function loadBoot(user) {
+	if (rendered || !user) {
+		return Promise.resolve(boot)
+	}
+	if (!loading) {
+		loading = call("frappe.sessions.get")
+			.then((info) => {
+				boot.user = info.user.name
+				boot.roles = info.user.roles || []
+				boot.siteName = info.sitename || boot.siteName
+				boot.lang = info.lang || boot.lang
+				boot.deskTheme = info.user.desk_theme || boot.deskTheme
+				boot.systemSettings = info.sysdefaults || {}
+				return boot
+			})
+			.catch(() => boot)
+	}
+	return loading
+}
@@ -0,0 +1,71 @@
+import { resourceFetcher } from "../fetcher"
+import { layoutFieldtypes, tableFieldtypes } from "../utils/fields"
+
+// doctype -> Promise of its DocType document, kept for the whole session
+const metas = new Map()
+
+// The DocType document with its fields, as the desk loads it. Unlike
+// reading DocType directly this only needs read permission on doctype.
+// Offline it is the one loaded last time.
+export function loadMeta(doctype) {
+	if (!metas.has(doctype)) {
+		const request = resourceFetcher({
+			url: "frappe.desk.form.load.getdoctype",
+			params: { doctype },
+			idempotent: true,
+			offline: true,
+		})
+			.then(({ docs }) => {
+				// the metas of its child tables come along
+				for (const doc of docs) {
+					if (!metas.has(doc.name)) {
+						metas.set(doc.name, Promise.resolve(doc))
+					}
+				}
+				return docs.find((doc) => doc.name === doctype)
+			})
+			.catch((error) => {
+				metas.delete(doctype)
+				throw error
+			})
+		metas.set(doctype, request)
+	}
+	return metas.get(doctype)
+}
+
+// Columns the desk shows in its list view: the title and every field marked
+// "In List View", or the last modified time when there are none
+export function listFields(meta, max = 5) {
+	const fields = meta.fields.filter(
+		(field) =>
+			field.in_list_view &&
+			!field.hidden &&
+			!layoutFieldtypes.includes(field.fieldtype) &&
+			!tableFieldtypes.includes(field.fieldtype) &&
+			field.fieldname !== meta.title_field,
+	)
+	const title = meta.fields.find(
+		(field) => field.fieldname === meta.title_field,
+	)
+	const columns = [
+		title || { fieldname: "name", label: "ID", fieldtype: "Data" },
+	]
+	if (!fields.length) {
+		columns.push({
+			fieldname: "modified",
+			label: "Last Updated On",
+			fieldtype: "Datetime",
+		})
+	}
+	return columns.concat(fields).slice(0, max)
+}
+
+// Fields marked "In Standard Filter"
+export function filterFields(meta) {
+	return meta.fields.filter(
+		(field) =>
+			field.in_standard_filter &&
+			!layoutFieldtypes.includes(field.fieldtype) &&
+			!tableFieldtypes.includes(field.fieldtype),
+	)
+}
@@ -0,0 +1,137 @@
+import { call, createListResource, createResource, toast } from "frappe-ui"
+import { computed, reactive, watch } from "vue"
+
+import { onRealtimeEvent } from "../realtime"
+import { __ } from "../translation"
+import { session } from "./session"
+
+// mentions, assignments, shares and alerts all end up as a Notification Log
+const doctype = "Notification Log"
+const markReadMethod =
+	"frappe.desk.doctype.notification_log.notification_log.mark_as_read"
+const markAllReadMethod =
+	"frappe.desk.doctype.notification_log.notification_log.mark_all_as_read"
+
+const list = createListResource({
+	doctype,
+	fields: [
+		"name",
+		"subject",
+		"type",
+		"read",
+		"from_user",
+		"document_type",
+		"document_name",
+		"creation",
+	],
+	orderBy: "creation desc",
+	pageLength: 20,
+})
+
+const unread = createResource({
+	url: "frappe.client.get_count",
+	initialData: 0,
+})
+
+export const notifications = reactive({
+	list,
+	unreadCount: computed(() => unread.data || 0),
+	markRead,
+	markAllRead,
+})
+
+let listening = false
+
+// Failures are left to the next load, the bell just stays as it was
+function load({ announce = false } = {}) {
+	const user = session.user
+	// with none loaded yet, every unread one is new
+	const newest = list.data?.[0]?.creation
+	list.update({ filters: { for_user: user } })
+	unread
+		.submit({ doctype, filters: { for_user: user, read: 0 } })
+		.catch(() => {})
+	return list
+		.reload()
+		.then((rows) => {
+			if (announce) {
+				announceNew(
+					(rows || []).filter(
+						(row) => !row.read && (!newest || row.creation > newest),
+					),
+				)
+			}
+		})
+		.catch(() => {})
+}
+
+function announceNew(rows) {
+	if (!rows.length) {
+		return
+	}
+	toast.create({
+		message:
+			rows.length === 1
+				? rows[0].subject
+				: __("You have {0} new notifications", [rows.length]),
+		type: "info",
+	})
+}
+
+// Loads the user's notifications and keeps them current while the app is
+// open, starting over whenever someone else logs in
+export function useNotifications() {
+	if (!listening) {
+		listening = true
+		// the server publishes "notification" to the user's own room, without
+		// saying what changed
+		onRealtimeEvent("notification", () => {
+			if (session.isLoggedIn) {
+				load({ announce: true })
+			}
+		})
+		watch(
+			() => session.user,
+			(user) => {
+				if (user) {
+					load()
+				} else {
+					list.setData([])
+					unread.setData(0)
+				}
+			},
+			{ immediate: true },
+		)
+	}
+	return notifications
+}
+
+function markRead(name) {
+	const row = list.data?.find((row) => row.name === name)
+	if (!row || row.read) {
+		return Promise.resolve()
+	}
+	row.read = 1
+	unread.setData((count) => Math.max(0, count - 1))
+	return call(markReadMethod, { docname: name }).catch((error) => {
+		row.read = 0
+		unread.setData((count) => count + 1)
+		throw error
+	})
+}
+
+function markAllRead() {
+	const rows = (list.data || []).filter((row) => !row.read)
+	for (const row of rows) {
+		row.read = 1
+	}
+	const count = unread.data
+	unread.setData(0)
+	return call(markAllReadMethod).catch((error) => {
+		for (const row of rows) {
+			row.read = 0
+		}
+		unread.setData(count)
+		throw error
+	})
+}
@@ -0,0 +1,122 @@
+import { call } from "frappe-ui"
+import { reactive, shallowRef } from "vue"
+
+import { session } from "./session"
+import { rolesResource } from "./user"
+
+// "<ptype>:<doctype>" -> boolean, filled lazily by checkPermission
+const permissions = reactive({})
+const pending = {}
+// bumped by resetPermissions, so answers for the previous user are dropped
+let generation = 0
+// the logged in user's roles resource, and whose roles it has fetched
+const roles = shallowRef(null)
+let rolesUser = null
+
+export function currentRoles() {
+	return roles.value?.data || []
+}
+
+export function loadRoles() {
+	if (!session.isLoggedIn) {
+		return Promise.resolve([])
+	}
+	if (rolesUser === session.user) {
+		return Promise.resolve(currentRoles())
+	}
+	const user = session.user
+	const resource = rolesResource(user)
+	roles.value = resource
+	return resource.fetch({ uid: user }).then((data) => {
+		if (roles.value === resource) {
+			rolesUser = user
+		}
+		return data
+	})
+}
+
+// for roles that arrived with the boot data
+export function setRoles(user, data) {
+	roles.value = rolesResource(user)
+	roles.value.setData(data)
+	rolesUser = user
+}
+
+export function resetPermissions() {
+	generation++
+	roles.value = null
+	rolesUser = null
+	for (const key in permissions) {
+		delete permissions[key]
+	}
+	for (const key in pending) {
+		delete pending[key]
+	}
+}
+
+export function hasRole(...roles) {
+	const userRoles = currentRoles()
+	return roles.flat().some((role) => userRoles.includes(role))
+}
+
+export function can(ptype, doctype) {
+	const key = `${ptype}:${doctype}`
+	if (!(key in permissions)) {
+		checkPermission(ptype, doctype).catch(() => {})
+	}
+	return !!permissions[key]
+}
+
+export function checkPermission(ptype, doctype) {
+	const key = `${ptype}:${doctype}`
+	if (key in permissions) {
+		return Promise.resolve(permissions[key])
+	}
+	if (!pending[key]) {
+		const started = generation
+		const request = call("frappe.client.has_permission", {
+			doctype,
+			docname: "",
+			perm_type: ptype,
+		})
+			.then((result) => {
+				const allowed = !!result?.has_permission
+				if (started === generation) {
+					permissions[key] = allowed
+				}
+				return allowed
+			})
+			.finally(() => {
+				if (pending[key] === request) {
+					delete pending[key]
+				}
+			})
+		pending[key] = request
+	}
+	return pending[key]
+}
+
+// meta.roles: ["System Manager"] — any one of them is enough
+// meta.permissions: [{ doctype: "Sales Invoice", ptype: "read" }] — all are required,
+// doctype can be a function of the route for routes like /list/:doctype
+export async function canAccess(route) {
+	const roles = route.matched.flatMap((record) => record.meta.roles || [])
+	const perms = route.matched.flatMap((record) => record.meta.permissions || [])
+
+	if (roles.length) {
+		await loadRoles()
+		if (!hasRole(roles)) {
+			return false
+		}
+	}
+
+	const results = await Promise.all(
+		perms.map(({ doctype, ptype = "read" }) =>
+			checkPermission(
+				ptype,
+				typeof doctype === "function" ? doctype(route) : doctype,
+			),
+		),
+	)
+	return results.every(Boolean)
+}
@@ -0,0 +1,38 @@
+import { computed, ref } from "vue"
+
+import { session } from "./session"
+
+// The documents the user opened last, newest first, kept per user in
+// localStorage so they survive a reload: [{ doctype, name }]
+const maxRecent = 10
+
+// bumped on every change, localStorage itself is not reactive
+const version = ref(0)
+
+const storageKey = (user) => `recent:${user}`
+
+export const recentDocuments = computed(() => {
+	version.value
+	if (!session.user) {
+		return []
+	}
+	try {
+		return JSON.parse(localStorage.getItem(storageKey(session.user))) || []
+	} catch (error) {
+		return []
+	}
+})
+
+export function addRecentDocument(doctype, name) {
+	if (!session.user) {
+		return
+	}
+	const recent = [
+		{ doctype, name },
+		...recentDocuments.value.filter(
+			(document) => document.doctype !== doctype || document.name !== name,
+		),
+	].slice(0, maxRecent)
+	localStorage.setItem(storageKey(session.user), JSON.stringify(recent))
+	version.value++
+}
@@ -1,7 +1,17 @@
 import router from "@/router"
+import { reconnect as reconnectSocket } from "@/socket"
+import { createBroadcast } from "@/utils/broadcast"
+import { redirectQuery, sanitizeRedirect } from "@/utils/redirect"
 import { createResource } from "frappe-ui"
 import { computed, reactive } from "vue"
 
+import { boot, loadBoot } from "./boot"
+import {
+	currentRoles,
+	loadRoles,
+	resetPermissions,
+	setRoles,
+} from "./permissions"
 import { userResource } from "./user"
 
 export function sessionUser() {
@@ -13,30 +23,175 @@ export function sessionUser() {
 	return _sessionUser
 }
 
+// Website Settings' disable_signup only arrives with the boot data, so on
+// the Vite dev server sign up stays hidden
+export function signupEnabled() {
+	return boot.disableSignup !== undefined && !Number(boot.disableSignup)
+}
+
+export function passwordLoginEnabled() {
+	return !boot.disableUserPassLogin || !boot.socialLoginProviders.length
+}
+
+const socialLoginKey = "social_login_redirect"
+
+export function socialLogin(provider) {
+	sessionStorage.setItem(socialLoginKey, loginRedirect())
+	window.location.href = provider.auth_url
+}
+
+// The provider sends the user back to the SPA with a fresh session cookie,
+// pick up where they were before leaving for the provider
+export function resumeSocialLogin() {
+	const redirect = sessionStorage.getItem(socialLoginKey)
+	if (redirect === null) {
+		return
+	}
+	sessionStorage.removeItem(socialLoginKey)
+	if (session.isLoggedIn) {
+		sessionStarted(redirect)
+	}
+}
+
+export function loginRedirect(fallback = "/") {
+	const { query } = router.currentRoute.value
+	return (
+		sanitizeRedirect(query.redirect, router.options.history.base) || fallback
+	)
+}
+
+// Called once the server has logged the user in, by the login form or
+// any other flow that sets the session cookie.
+export function sessionStarted(defaultRoute = "/") {
+	loadUser(sessionUser())
+	otherTabs.post({ user: session.user })
+	router.replace(loginRedirect(defaultRoute))
+}
+
+// Called whenever the server tells us the session is no longer valid.
+// Clears local user state; SessionExpiredDialog then takes the user to Login.
+export function sessionExpired() {
+	if (session.user) {
+		otherTabs.post({ user: null })
+	}
+	clearUser()
+	if (!router.currentRoute.value.meta.public) {
+		session.expired = true
+	}
+}
+
+function loadUser(user) {
+	userResource.reload()
+	session.user = user
+	session.expired = false
+	resetPermissions()
+	// the route guard asks again when it needs them
+	loadRoles().catch(() => {})
+	reconnectSocket()
+}
+
+function clearUser() {
+	userResource.reset()
+	resetPermissions()
+	session.user = null
+	session.verification = null
+	reconnectSocket()
+}
+
+// All tabs share the session cookie, so a login, logout or switch of
+// user in one tab is mirrored in the others without asking the server
+const otherTabs = createBroadcast("session", ({ user }) => {
+	if (user === session.user) {
+		return
+	}
+	const route = router.currentRoute.value
+	if (!user) {
+		clearUser()
+		session.expired = false
+		if (!route.meta.public) {
+			router.replace({ name: "Login", query: redirectQuery(route) })
+		}
+		return
+	}
+
+	loadUser(user)
+	if (route.meta.public) {
+		router.replace(loginRedirect())
+	} else {
+		// run the guards again, the new user may not be permitted here
+		router.replace({ path: route.fullPath, force: true })
+	}
+})
+
+export function loginAgain() {
+	session.expired = false
+	const route = router.currentRoute.value
+	if (!route.meta.public) {
+		router.replace({ name: "Login", query: redirectQuery(route) })
+	}
+}
+
 export const session = reactive({
 	login: createResource({
 		url: "login",
-		makeParams({ email, password }) {
+		makeParams({ email, password, otp, tmp_id }) {
+			// second step of two-factor auth: the server remembers usr/pwd
+			// against tmp_id, leaving out the otp sends a fresh code
+			if (tmp_id) {
+				return { tmp_id, otp }
+			}
 			return {
 				usr: email,
 				pwd: password,
 			}
 		},
 		onSuccess(data) {
-			userResource.reload()
-			session.user = sessionUser()
+			if (data?.verification) {
+				session.verification = { ...data.verification, tmp_id: data.tmp_id }
+				return
+			}
+			session.verification = null
 			session.login.reset()
-			router.replace(data.default_route || "/")
+			// the password has to be changed first (System Settings'
+			// force_user_to_reset_password): no session, just a link to do so
+			if (data?.message === "Password Reset") {
+				window.location.href = data.redirect_to
+				return
+			}
+			sessionStarted(data.default_route || "/")
+		},
+		onError(error) {
+			// the server forgets tmp_id after a few minutes, after which
+			// resending a code fails because it no longer knows usr/pwd
+			const resending = session.verification && !session.login.params?.otp
+			if (
+				error?.exc_type === "ExpiredLoginException" ||
+				(resending && error?.exc_type === "AuthenticationError")
+			) {
+				session.verification = null
+			}
 		},
 	}),
 	logout: createResource({
 		url: "logout",
 		onSuccess() {
-			userResource.reset()
-			session.user = sessionUser()
+			clearUser()
+			otherTabs.post({ user: null })
 			router.replace({ name: "Login" })
 		},
 	}),
 	user: sessionUser(),
+	expired: false,
+	verification: null,
+	roles: computed(() => currentRoles()),
 	isLoggedIn: computed(() => !!session.user),
 })
+
+// Seeds the user and their roles from the boot data, so the first
+// navigation does not have to wait for the server
+export const sessionReady = loadBoot(session.user).then(() => {
+	if (boot.user && boot.user === session.user) {
+		userResource.setData(boot.user)
+		setRoles(boot.user, boot.roles)
+	}
+})
@@ -1,12 +1,16 @@
-import router from "@/router"
 import { createResource } from "frappe-ui"
 
 export const userResource = createResource({
 	url: "frappe.auth.get_logged_user",
 	cache: "User",
-	onError(error) {
-		if (error && error.exc_type === "AuthenticationError") {
-			router.push({ name: "LoginPage" })
-		}
-	},
 })
+
+// One per user: frappe-ui keeps the last response of each cache key and
+// shows it while loading, which must never be another user's roles
+export function rolesResource(user) {
+	return createResource({
+		url: "frappe.core.doctype.user.user.get_roles",
+		cache: ["Roles", user],
+		initialData: [],
+	})
+}
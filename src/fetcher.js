@@ -0,0 +1,127 @@
+import { frappeRequest } from "frappe-ui"
+import { reactive } from "vue"
+
+import { session, sessionExpired, sessionUser } from "./data/session"
+import { queueWrites, serveCached } from "./offline"
+import {
+	anySignal,
+	batch,
+	cancellable,
+	compose,
+	dedupe,
+	retry,
+	withSignal,
+} from "./utils/fetchMiddleware"
+
+const sessionErrors = ["SessionExpired", "AuthenticationError"]
+
+// A whitelisted method that runs a list of calls, e.g.
+// "my_app.api.batch" (see README). Until there is one, batch: true does
+// nothing.
+const batchMethod = null
+
+export function isSessionError(error, options = {}) {
+	// a wrong password on login is an AuthenticationError too
+	if (["login", "/api/method/login"].includes(options.url)) {
+		return false
+	}
+	const status = error?.response?.status
+	if (status === 401 || sessionErrors.includes(error?.exc_type)) {
+		return true
+	}
+	// Guests get a 403 from most methods, so a 403 means expiry only
+	// when the server has swapped our user_id cookie back to Guest
+	return status === 403 && !!session.user && !sessionUser()
+}
+
+function checkSession(options, next) {
+	return next(options).catch((error) => {
+		if (isSessionError(error, options)) {
+			sessionExpired()
+		}
+		throw error
+	})
+}
+
+// Requests made with cancelOnLeave: true belong to the page they were
+// started on, and are cancelled when the router leaves it
+let routeController = new AbortController()
+
+export function cancelRouteRequests() {
+	routeController.abort()
+	routeController = new AbortController()
+}
+
+function cancelOnLeave(options, next) {
+	if (!options.cancelOnLeave) {
+		return next(options)
+	}
+	return next({
+		...options,
+		signal: anySignal(options.signal, routeController.signal),
+	})
+}
+
+// The last 100 requests, newest first, for the request log in development
+export const requestLog = reactive([])
+let lastId = 0
+
+function logRequest(options, next) {
+	const entry = reactive({
+		id: ++lastId,
+		url: options.url,
+		method: options.method || "POST",
+		params: options.params,
+		status: "pending",
+		started: Date.now(),
+		duration: null,
+		retries: 0,
+		deduped: false,
+		batched: false,
+		offline: false,
+		error: null,
+	})
+	requestLog.unshift(entry)
+	requestLog.splice(100)
+	const done = (status) => {
+		entry.status = status
+		entry.duration = Date.now() - entry.started
+	}
+	return next({ ...options, trace: entry }).then(
+		(data) => {
+			done("done")
+			return data
+		},
+		(error) => {
+			done(error.cancelled ? "cancelled" : "failed")
+			entry.error = error.messages?.[0] || error.message
+			throw error
+		},
+	)
+}
+
+const middleware = [
+	...(import.meta.env.DEV ? [logRequest] : []),
+	checkSession,
+	cancelOnLeave,
+	cancellable,
+	serveCached,
+	queueWrites,
+	dedupe(),
+	retry(),
+	batch({ method: batchMethod }),
+]
+
+// Adds middleware, (options, next) => promise, after the built-in ones:
+// it sees each request that goes to the server, a batch as one
+export function useMiddleware(fn) {
+	middleware.push(fn)
+}
+
+// Plugged into frappe-ui resources in main.js. Per request options on top
+// of frappeRequest's: idempotent (retry and dedupe POSTs that only read,
+// GETs always are), cancelOnLeave, signal (an AbortSignal), batch, and
+// cache, offline and queue for working offline (see src/offline.js).
+export function resourceFetcher(options) {
+	return compose(middleware, withSignal(frappeRequest))(options)
+}
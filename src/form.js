@@ -0,0 +1,255 @@
+import { dayjs } from "frappe-ui"
+import {
+	computed,
+	getCurrentScope,
+	onScopeDispose,
+	reactive,
+	toValue,
+	watch,
+} from "vue"
+
+import { loadMeta } from "./data/meta"
+import { session } from "./data/session"
+import { resourceFetcher } from "./fetcher"
+import { onSynced } from "./offline"
+import { fieldErrors, missingFields, tableFieldtypes } from "./utils/fields"
+import { rebase } from "./utils/offline"
+
+// Loads doctype/name and its meta for editing, or starts a new document
+// when name is "new" (with `options.values` filled in). The form has the
+// doctype, name, doc, isDirty and reload() of a document resource, so it
+// can be passed as the `resource` of useRealtimeDoc and DocumentChangedAlert.
+// `options.onSynced` is called with the document once a save made offline
+// reaches the server.
+export function useDocForm(doctype, name, options = {}) {
+	let loadId = 0
+	// saves made offline replace each other while they wait, see save()
+	let saveKey = null
+	let stopSync = null
+
+	const form = reactive({
+		doctype: null,
+		name: null,
+		meta: null,
+		// child doctype -> meta
+		childMeta: {},
+		doc: null,
+		originalDoc: null,
+		isNew: computed(() => form.name === "new"),
+		isDirty: computed(
+			() =>
+				!!form.doc &&
+				JSON.stringify(form.doc) !== JSON.stringify(form.originalDoc),
+		),
+		loading: false,
+		saving: false,
+		// why the document could not be loaded
+		error: null,
+		// fieldname (or "<table>.<idx>.<fieldname>") -> message
+		errors: {},
+		// save errors that are not about one field
+		messages: [],
+		reload: load,
+		save,
+		setValue,
+		addRow,
+		removeRow,
+	})
+
+	watch(
+		() => [toValue(doctype), toValue(name)],
+		([doctype, name]) => {
+			// a new document the form has just saved keeps its changes
+			const saved =
+				doctype === form.doctype &&
+				!!form.doc?.name &&
+				!form.doc.__islocal &&
+				name === form.doc.name
+			form.doctype = doctype
+			form.name = name
+			saveKey = `${doctype}:${name === "new" ? Date.now() : name}`
+			stopSync?.()
+			stopSync = null
+			if (!saved) {
+				load()
+			}
+		},
+		{ immediate: true },
+	)
+
+	async function load() {
+		const id = ++loadId
+		form.loading = true
+		form.error = null
+		form.errors = {}
+		form.messages = []
+		try {
+			const meta = await loadMeta(form.doctype)
+			const children = await Promise.all(
+				meta.fields
+					.filter((field) => tableFieldtypes.includes(field.fieldtype))
+					.map((field) => loadMeta(field.options)),
+			)
+			const doc = form.isNew
+				? newDoc(meta, toValue(options.values))
+				: await resourceFetcher({
+						url: "frappe.client.get",
+						params: { doctype: form.doctype, name: form.name },
+						idempotent: true,
+						offline: true,
+					})
+			// doctype/name changed while this was loading
+			if (id !== loadId) {
+				return
+			}
+			form.meta = meta
+			form.childMeta = Object.fromEntries(
+				children.map((child) => [child.name, child]),
+			)
+			setDoc(doc)
+		} catch (error) {
+			if (id === loadId) {
+				form.error = error
+			}
+		} finally {
+			if (id === loadId) {
+				form.loading = false
+			}
+		}
+	}
+
+	function setDoc(doc) {
+		form.doc = doc
+		form.originalDoc = JSON.parse(JSON.stringify(doc))
+	}
+
+	function setValue(fieldname, value, row = null) {
+		const target = row || form.doc
+		target[fieldname] = value
+		const key = row ? `${row.parentfield}.${row.idx}.${fieldname}` : fieldname
+		delete form.errors[key]
+	}
+
+	function addRow(fieldname) {
+		const field = form.meta.fields.find(
+			(field) => field.fieldname === fieldname,
+		)
+		const rows = form.doc[fieldname] || []
+		rows.push({
+			...defaults(form.childMeta[field.options]),
+			doctype: field.options,
+			parenttype: form.doctype,
+			parentfield: fieldname,
+			idx: rows.length + 1,
+			__islocal: 1,
+		})
+		form.doc[fieldname] = rows
+	}
+
+	function removeRow(fieldname, row) {
+		const rows = form.doc[fieldname].filter((other) => other !== row)
+		rows.forEach((row, i) => {
+			row.idx = i + 1
+		})
+		form.doc[fieldname] = rows
+	}
+
+	// Checks required fields, then saves (or inserts) the whole document
+	// with its child rows. Resolves with the saved document, or null when
+	// there are errors to show. Offline, the save waits in the queue of
+	// src/offline.js and the form keeps the changes as if saved, until the
+	// save is sent and the form gets the document the server saved.
+	async function save() {
+		const childFields = Object.fromEntries(
+			Object.values(form.childMeta).map((meta) => [meta.name, meta.fields]),
+		)
+		const missing = missingFields(form.meta.fields, form.doc, { childFields })
+		if (Object.keys(missing).length) {
+			form.errors = missing
+			return null
+		}
+
+		form.saving = true
+		form.errors = {}
+		form.messages = []
+		try {
+			const doc = await resourceFetcher({
+				url: "frappe.client.save",
+				params: { doc: form.doc },
+				queue: true,
+				queueKey: saveKey,
+			})
+			setDoc(doc)
+			return doc
+		} catch (error) {
+			if (error.queued) {
+				form.originalDoc = JSON.parse(JSON.stringify(form.doc))
+				form.messages = error.messages
+				stopSync ??= onSynced(saveKey, synced)
+				return null
+			}
+			const { fields, messages } = fieldErrors(error, form.meta.fields)
+			form.errors = fields
+			form.messages = messages
+			return null
+		} finally {
+			form.saving = false
+		}
+	}
+
+	if (getCurrentScope()) {
+		onScopeDispose(() => stopSync?.())
+	}
+
+	// The queued save was sent: the form moves onto the saved document,
+	// keeping whatever was changed since
+	function synced(doc) {
+		stopSync()
+		stopSync = null
+		form.messages = []
+		if (form.isDirty) {
+			form.doc = rebase(form.doc, doc)
+			form.originalDoc = JSON.parse(JSON.stringify(doc))
+		} else {
+			setDoc(doc)
+		}
+		options.onSynced?.(doc)
+	}
+
+	return form
+}
+
+function newDoc(meta, values = {}) {
+	return {
+		...defaults(meta),
+		...values,
+		doctype: meta.name,
+		docstatus: 0,
+		__islocal: 1,
+	}
+}
+
+// Field defaults, including the few special values the desk understands
+function defaults(meta) {
+	const doc = {}
+	for (const field of meta?.fields || []) {
+		const value = field.default
+		if (value == null || value === "") {
+			continue
+		}
+		if (value === "Today") {
+			doc[field.fieldname] = dayjs().format("YYYY-MM-DD")
+		} else if (value.toLowerCase?.() === "now") {
+			doc[field.fieldname] = dayjs().format("YYYY-MM-DD HH:mm:ss")
+		} else if (value === "__user") {
+			doc[field.fieldname] = session.user
+		} else if (["Check", "Int"].includes(field.fieldtype)) {
+			doc[field.fieldname] = Number.parseInt(value) || 0
+		} else if (["Float", "Currency", "Percent"].includes(field.fieldtype)) {
+			doc[field.fieldname] = Number.parseFloat(value) || 0
+		} else {
+			doc[field.fieldname] = value
+		}
+	}
+	return doc
+}
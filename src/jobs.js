@@ -0,0 +1,176 @@
+import { call } from "frappe-ui"
+import { computed, getCurrentScope, onScopeDispose, reactive } from "vue"
+import { subscribeTask } from "./realtime"
+import { isTransient } from "./utils/fetchMiddleware"
+
+const rqStatus = {
+	queued: "queued",
+	deferred: "queued",
+	scheduled: "queued",
+	started: "running",
+	finished: "finished",
+	failed: "failed",
+	canceled: "failed",
+	stopped: "failed",
+}
+
+// Reading RQ Job needs System Manager, so the app has a method that tells
+// users the status of their own jobs (see README)
+const statusMethod = "<app-name>.api.job_status"
+
+// Runs a whitelisted method that enqueues a background job and returns its
+// RQ job id, then follows the job through the realtime events it publishes
+// with task_id set to that id (see README). The id is kept in localStorage,
+// so a job still running is picked up again after a reload. A job that
+// publishes nothing for options.heartbeat ms has its status read, because
+// one that raises may never say so.
+export function useJob(method, options = {}) {
+	const storageKey = `job:${options.key || method}`
+	const heartbeat = options.heartbeat ?? 30000
+	let unsubscribe = null
+	let timer = null
+
+	// status: "idle" | "queued" | "running" | "finished" | "failed"
+	const job = reactive({
+		id: null,
+		status: "idle",
+		percent: 0,
+		title: null,
+		messages: [],
+		result: null,
+		traceback: null,
+		error: null,
+		running: computed(() => ["queued", "running"].includes(job.status)),
+		start,
+		reset,
+	})
+
+	async function start(args) {
+		reset()
+		job.status = "queued"
+		try {
+			track(await call(method, args))
+		} catch (error) {
+			job.status = "failed"
+			job.error = error
+		}
+	}
+
+	function reset() {
+		unsubscribe?.()
+		unsubscribe = null
+		clearTimeout(timer)
+		localStorage.removeItem(storageKey)
+		Object.assign(job, {
+			id: null,
+			status: "idle",
+			percent: 0,
+			title: null,
+			messages: [],
+			result: null,
+			traceback: null,
+			error: null,
+		})
+	}
+
+	function track(id) {
+		job.id = id
+		localStorage.setItem(storageKey, id)
+		unsubscribe = subscribeTask(id, onMessage)
+		expectHeartbeat()
+	}
+
+	function expectHeartbeat() {
+		clearTimeout(timer)
+		timer = setTimeout(refreshStatus, heartbeat)
+	}
+
+	function finish(status, { result = null, traceback = null } = {}) {
+		job.status = status
+		job.result = result
+		job.traceback = traceback
+		if (status === "finished") {
+			job.percent = 100
+		}
+		unsubscribe?.()
+		unsubscribe = null
+		clearTimeout(timer)
+		localStorage.removeItem(storageKey)
+	}
+
+	function onMessage({ event, ...data }) {
+		expectHeartbeat()
+		if (event === "progress" || event === "task_progress") {
+			job.status = "running"
+			// publish_progress sends a percent, older tasks send [done, total]
+			const [done, total] = data.progress || [data.percent ?? job.percent, 100]
+			if (total) {
+				job.percent = Math.min(100, Math.round((done / total) * 100))
+			}
+			job.title = data.title || job.title
+			if (data.description) {
+				job.messages.push(data.description)
+			}
+		} else if (event === "msgprint") {
+			job.messages.push(data.message)
+		} else if (event === "task_status_change") {
+			const status = data.status?.toLowerCase()
+			if (status === "finished" || status === "failed") {
+				finish(status, data)
+			}
+		}
+	}
+
+	// events sent while the page was closed are lost, ask RQ where the job is
+	async function refreshStatus() {
+		const id = job.id
+		let rqJob
+		try {
+			rqJob = await call(statusMethod, { job_id: id })
+		} catch (error) {
+			if (job.id !== id) {
+				return
+			}
+			if (isTransient(error)) {
+				expectHeartbeat()
+			} else if (error.exc_type === "PermissionError") {
+				// another user's job, e.g. after logging in as someone else
+				reset()
+			}
+			// a missing or broken status method says nothing about the job,
+			// it stays subscribed and is only checked again after its next event
+			return
+		}
+		if (job.id !== id) {
+			return
+		}
+		// finished jobs are dropped from the queue after a while
+		if (!rqJob) {
+			reset()
+			return
+		}
+		const status = rqStatus[rqJob.status] || "running"
+		if (status === "finished" || status === "failed") {
+			finish(status, { traceback: rqJob.exc_info })
+		} else {
+			job.status = status
+			expectHeartbeat()
+		}
+	}
+
+	const runningJob = localStorage.getItem(storageKey)
+	if (runningJob) {
+		track(runningJob)
+		job.status = "running"
+		refreshStatus()
+	}
+
+	if (getCurrentScope()) {
+		onScopeDispose(() => {
+			unsubscribe?.()
+			clearTimeout(timer)
+		})
+	}
+
+	return job
+}
@@ -1,8 +1,14 @@
 import { createApp } from "vue"
 
 import App from "./App.vue"
+import { resumeSocialLogin } from "./data/session"
+import { resourceFetcher } from "./fetcher"
+import { initOffline } from "./offline"
+import { initPWA } from "./pwa"
 import router from "./router"
 import { initSocket } from "./socket"
+import "./theme"
+import { translationPlugin } from "./translation"
 
 import {
 	Alert,
@@ -13,7 +19,6 @@ import {
 	FormControl,
 	Input,
 	TextInput,
-	frappeRequest,
 	pageMetaPlugin,
 	resourcesPlugin,
 	setConfig,
@@ -34,17 +39,22 @@ const globalComponents = {
 
 const app = createApp(App)
 
-setConfig("resourceFetcher", frappeRequest)
+setConfig("resourceFetcher", resourceFetcher)
 
 app.use(router)
 app.use(resourcesPlugin)
 app.use(pageMetaPlugin)
+app.use(translationPlugin)
 
 const socket = initSocket()
 app.config.globalProperties.$socket = socket
+initOffline()
+initPWA()
 
 for (const key in globalComponents) {
 	app.component(key, globalComponents[key])
 }
 
 app.mount("#app")
+
+router.isReady().then(resumeSocialLogin)
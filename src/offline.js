@@ -0,0 +1,317 @@
+import { getCachedResource } from "frappe-ui"
+import { createStore, del, get, keys, set } from "idb-keyval"
+import { computed, reactive, ref, watch } from "vue"
+
+import { session } from "./data/session"
+import { isSessionError, resourceFetcher } from "./fetcher"
+import { useSocket } from "./socket"
+import { __ } from "./translation"
+import { isTransient, requestKey } from "./utils/fetchMiddleware"
+import {
+	followOn,
+	isConflict,
+	isConflictError,
+	overwrite,
+	queueEntry,
+} from "./utils/offline"
+
+// Keeps the app usable without a connection. Resources with a `cache` key,
+// and requests marked with offline: true, answer from their last response,
+// and writes marked with queue: true wait in a queue that is sent, in
+// order, once the connection is back. Both live in IndexedDB per user, so
+// they survive a reload.
+const store =
+	typeof indexedDB === "undefined" ? null : createStore("offline", "keyval")
+const socket = useSocket()
+const browserOnline = ref(navigator.onLine)
+
+// cache keys of resources answered from the cache, to reload once online
+const stale = new Map()
+// the queued write being sent
+let sending = null
+// queueKey -> callbacks waiting for that write to be sent
+const listeners = new Map()
+
+export const network = reactive({
+	// the socket notices a dead connection that the browser still
+	// thinks is up
+	online: computed(() => browserOnline.value && socket.status !== "offline"),
+	// the queued writes, oldest first
+	queue: [],
+	syncing: false,
+	syncQueue,
+	discard,
+	retry,
+})
+
+// a resource's cache key, or else the request itself
+const cacheKey = (options) =>
+	`cache:${JSON.stringify([session.user, options.cache || requestKey(options)])}`
+const queueKey = (user) => `queue:${user}`
+
+function saveQueue() {
+	if (!store || !session.user) {
+		return Promise.resolve()
+	}
+	return set(
+		queueKey(session.user),
+		JSON.parse(JSON.stringify(network.queue)),
+		store,
+	).catch(() => {})
+}
+
+async function fromCache(options, next, error) {
+	const data = await get(cacheKey(options), store).catch(() => undefined)
+	if (data === undefined) {
+		if (error) {
+			throw error
+		}
+		// nothing cached, maybe the connection works after all
+		return next(options)
+	}
+	if (options.cache) {
+		stale.set(JSON.stringify(options.cache), options.cache)
+	}
+	if (options.trace) {
+		options.trace.offline = true
+	}
+	return data
+}
+
+// Middleware for resources with a `cache` key and requests with offline:
+// true: saves each response, and answers from the saved one while offline
+// or when the server can't be reached. Resources with a `cache` key show
+// the saved one while they load too (frappe-ui does that), and reload once
+// the connection is back. Other requests are the caller's to send again.
+export async function serveCached(options, next) {
+	if (!(options.cache || options.offline) || !store) {
+		return next(options)
+	}
+	if (!network.online) {
+		return fromCache(options, next)
+	}
+	try {
+		const data = await next(options)
+		set(cacheKey(options), data, store).catch(() => {})
+		return data
+	} catch (error) {
+		if (!isTransient(error)) {
+			throw error
+		}
+		return fromCache(options, next, error)
+	}
+}
+
+function queuedError() {
+	const message = __(
+		"You are offline. Your change will be saved once you are back online.",
+	)
+	return Object.assign(new Error(message), {
+		queued: true,
+		messages: [message],
+	})
+}
+
+async function enqueue(options) {
+	const entry = queueEntry(options)
+	const index = entry.key
+		? network.queue.findIndex(
+				(other) =>
+					other.key === entry.key &&
+					other.status === "pending" &&
+					other !== sending,
+			)
+		: -1
+	if (index >= 0) {
+		network.queue[index] = entry
+	} else {
+		network.queue.push(entry)
+	}
+	await saveQueue()
+	syncQueue()
+	throw queuedError()
+}
+
+// Middleware for writes with queue: true: queues them while offline, or
+// while older writes are still waiting, and rejects with an error that has
+// queued: true. With a queueKey, a write replaces the waiting one with the
+// same key, e.g. each save of a form sends the whole document, and
+// onSynced() hears when it is sent. A write that fails because the
+// connection dropped while sending is queued too. It may have reached the
+// server, so give it the modified of the document (save does) to have a
+// repeat caught as a conflict.
+export async function queueWrites(options, next) {
+	if (!options.queue) {
+		return next(options)
+	}
+	if (!network.online || network.queue.length) {
+		return enqueue(options)
+	}
+	try {
+		return await next(options)
+	} catch (error) {
+		if (navigator.onLine || error.response || !isTransient(error)) {
+			throw error
+		}
+		return enqueue(options)
+	}
+}
+
+function currentModified(entry) {
+	return resourceFetcher({
+		url: "frappe.client.get_value",
+		params: {
+			doctype: entry.doctype,
+			filters: entry.name,
+			fieldname: "modified",
+		},
+	}).then((values) => values?.modified)
+}
+
+// Sends one queued write. Resolves with { data }, or false to leave it
+// (and the rest) in the queue.
+async function send(entry) {
+	try {
+		if (entry.name && entry.modified) {
+			if (isConflict(entry, await currentModified(entry))) {
+				entry.status = "conflict"
+				return false
+			}
+		}
+		return {
+			data: await resourceFetcher({ url: entry.url, params: entry.params }),
+		}
+	} catch (error) {
+		// try again with the next connection or login
+		if (isTransient(error) || isSessionError(error)) {
+			return false
+		}
+		entry.status = isConflictError(error) ? "conflict" : "failed"
+		entry.error = error.messages?.[0] || error.message
+		return false
+	}
+}
+
+// Sends the queued writes, oldest first, stopping at the first one that
+// conflicts or fails, so that later changes never overtake it
+export async function syncQueue() {
+	if (network.syncing || !network.online) {
+		return
+	}
+	network.syncing = true
+	try {
+		while (network.queue[0]?.status === "pending") {
+			sending = network.queue[0]
+			const sent = await send(sending)
+			if (sent) {
+				for (const callback of listeners.get(sending.key) || []) {
+					callback(sent.data)
+				}
+				network.queue = followOn(
+					network.queue,
+					sending,
+					sent.data?.modified,
+				).filter((other) => other !== sending)
+			}
+			await saveQueue()
+			if (!sent) {
+				break
+			}
+		}
+	} finally {
+		sending = null
+		network.syncing = false
+	}
+}
+
+// Calls callback with the response once the queued write with this
+// queueKey has been sent. Returns a function to stop listening.
+export function onSynced(key, callback) {
+	if (!listeners.has(key)) {
+		listeners.set(key, new Set())
+	}
+	listeners.get(key).add(callback)
+	return () => {
+		listeners.get(key)?.delete(callback)
+		if (!listeners.get(key)?.size) {
+			listeners.delete(key)
+		}
+	}
+}
+
+function discard(entry) {
+	network.queue.splice(network.queue.indexOf(entry), 1)
+	saveQueue()
+	syncQueue()
+}
+
+// Sends a conflicting or failed write again. A conflicting one then
+// overwrites the changes made on the server.
+async function retry(entry) {
+	if (entry.status === "conflict") {
+		let modified
+		try {
+			modified = await currentModified(entry)
+		} catch (error) {
+			entry.error = error.messages?.[0] || error.message
+			return
+		}
+		network.queue[network.queue.indexOf(entry)] = overwrite(entry, modified)
+	} else {
+		entry.status = "pending"
+		entry.error = null
+	}
+	await saveQueue()
+	syncQueue()
+}
+
+// Called once from main.js, when the session and the socket are set up
+export function initOffline() {
+	window.addEventListener("online", () => {
+		browserOnline.value = true
+	})
+	window.addEventListener("offline", () => {
+		browserOnline.value = false
+	})
+
+	// back online, or the server is reachable again
+	watch(
+		() => [network.online, socket.connected],
+		([online]) => {
+			if (!online) {
+				return
+			}
+			for (const cache of stale.values()) {
+				getCachedResource(cache)?.reload()
+			}
+			stale.clear()
+			syncQueue()
+		},
+	)
+
+	// each user has their own queue; a logout also drops their cached responses
+	watch(
+		() => session.user,
+		async (user, previous) => {
+			network.queue = []
+			if (!store) {
+				return
+			}
+			if (previous && !user) {
+				const prefix = `cache:${JSON.stringify([previous]).slice(0, -1)},`
+				const stored = await keys(store).catch(() => [])
+				for (const key of stored) {
+					if (String(key).startsWith(prefix)) {
+						del(key, store)
+					}
+				}
+			}
+			if (user) {
+				network.queue =
+					(await get(queueKey(user), store).catch(() => null)) || []
+				syncQueue()
+			}
+		},
+		{ immediate: true },
+	)
+}
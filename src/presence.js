@@ -0,0 +1,82 @@
+import { call } from "frappe-ui"
+import { reactive, toValue, watch } from "vue"
+
+import { session } from "./data/session"
+import { subscribeViewers, useSubscription } from "./realtime"
+import { useSocket } from "./socket"
+
+// user id -> { name, fullName, image }, shared by every viewer list
+const users = reactive({})
+const pending = new Set()
+
+// Only users who may read the User list see names and pictures, everyone
+// else gets the ids
+function loadUsers(ids) {
+	const missing = ids.filter((id) => !(id in users) && !pending.has(id))
+	if (!missing.length) {
+		return
+	}
+	for (const id of missing) {
+		pending.add(id)
+	}
+	call("frappe.client.get_list", {
+		doctype: "User",
+		fields: ["name", "full_name", "user_image"],
+		filters: { name: ["in", missing] },
+		limit_page_length: missing.length,
+	})
+		.catch(() => [])
+		.then((rows) => {
+			for (const id of missing) {
+				const row = rows.find((row) => row.name === id)
+				users[id] = {
+					name: id,
+					fullName: row?.full_name || id,
+					image: row?.user_image || null,
+				}
+				pending.delete(id)
+			}
+		})
+}
+
+// The other users who have doctype/name open right now. Opening it
+// announces us to them, and we drop out when doctype/name changes, the
+// component unmounts or the connection is lost.
+export function usePresence(doctype, name) {
+	const socket = useSocket()
+	const presence = reactive({ viewers: [] })
+
+	function setViewers(ids) {
+		const others = ids.filter((id) => id !== session.user)
+		loadUsers(others)
+		presence.viewers = others.map(
+			(id) => users[id] || { name: id, fullName: id, image: null },
+		)
+	}
+
+	useSubscription(
+		() => {
+			const [dt, dn] = [toValue(doctype), toValue(name)]
+			return dt && dn ? [dt, dn] : null
+		},
+		([doctype, name]) => {
+			setViewers([])
+			return subscribeViewers(doctype, name, (data) => setViewers(data.users))
+		},
+	)
+
+	// the server tells the others when we disconnect, and sends us the
+	// current viewers again once we rejoin
+	watch(
+		() => socket.connected,
+		(connected) => {
+			if (!connected) {
+				setViewers([])
+			}
+		},
+	)
+	// fill in names and pictures as they arrive
+	watch(users, () => setViewers(presence.viewers.map((user) => user.name)))
+
+	return presence
+}
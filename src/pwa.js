@@ -0,0 +1,65 @@
+import { reactive, watch } from "vue"
+
+import { session } from "./data/session"
+import router from "./router"
+
+// Registers the service worker of production builds (see src/sw.js) at
+// the router's base. A new build installs in the background and waits:
+// updateAvailable turns true, and update() switches to it and reloads.
+export const pwa = reactive({
+	updateAvailable: false,
+	update,
+})
+
+let registration = null
+let updating = false
+
+function update() {
+	updating = true
+	registration?.waiting?.postMessage({ type: "skip-waiting" })
+}
+
+// Called once from main.js
+export function initPWA() {
+	if (import.meta.env.DEV || !("serviceWorker" in navigator)) {
+		return
+	}
+	const scope = `${router.options.history.base}/`
+	const serviceWorker = navigator.serviceWorker
+
+	serviceWorker
+		.register(`${scope}sw.js`, { scope })
+		.then((registered) => {
+			registration = registered
+			// the first install has nothing to replace
+			const check = () => {
+				pwa.updateAvailable = !!registered.waiting && !!serviceWorker.controller
+			}
+			check()
+			registered.addEventListener("updatefound", () => {
+				registered.installing?.addEventListener("statechange", check)
+			})
+			// the app can stay open for days, look for a new build now and then;
+			// a check that fails, e.g. offline, waits for the next one
+			setInterval(() => registered.update().catch(() => {}), 60 * 60 * 1000)
+		})
+		// e.g. sw.js isn't served at the scope, see README: the app works as
+		// before, it just can't be installed or opened offline
+		.catch(() => {})
+
+	// the new service worker took over, load the build it serves
+	serviceWorker.addEventListener("controllerchange", () => {
+		if (updating) {
+			window.location.reload()
+		}
+	})
+
+	watch(
+		() => session.user,
+		(user, previous) => {
+			if (previous && !user) {
+				serviceWorker.controller?.postMessage({ type: "clear-shell" })
+			}
+		},
+	)
+}
@@ -0,0 +1,240 @@
+import { createDocumentResource, createListResource } from "frappe-ui"
+import { getCurrentScope, onScopeDispose, toValue, watch } from "vue"
+import { useSocket } from "./socket"
+
+// room -> { count, join, leave }, shared by every component on the page
+const rooms = new Map()
+// room -> Set of callbacks for the events sent to that room
+const listeners = new Map()
+let boundSocket = null
+
+const taskEvents = [
+	"progress",
+	"msgprint",
+	"task_progress",
+	"task_status_change",
+]
+
+function bindSocket() {
+	const { socket } = useSocket()
+	if (!socket || boundSocket === socket) {
+		return socket
+	}
+	boundSocket = socket
+	// the server forgets our rooms when the connection drops
+	socket.on("connect", () => {
+		for (const room of rooms.values()) {
+			room.join(socket)
+		}
+	})
+	socket.on("doc_update", (data) => {
+		notify(`doc:${data.doctype}/${data.name}`, data)
+	})
+	socket.on("list_update", (data) => {
+		notify(`doctype:${data.doctype}`, data)
+	})
+	socket.on("doc_viewers", (data) => {
+		notify(`viewers:${data.doctype}/${data.docname}`, data)
+	})
+	// publish_realtime(..., task_id=...) tags the message with its task
+	for (const event of taskEvents) {
+		socket.on(event, (data) => {
+			if (data?.task_id) {
+				notify(`task:${data.task_id}`, { ...data, event })
+			}
+		})
+	}
+	return socket
+}
+
+function notify(key, data) {
+	for (const callback of listeners.get(key) || []) {
+		callback(data)
+	}
+}
+
+// Joins a room once however many callers ask for it, and leaves it when
+// the last of them is done. Returns the function that undoes the subscription.
+export function subscribe(key, { join, leave }, callback) {
+	const socket = bindSocket()
+
+	if (!rooms.has(key)) {
+		rooms.set(key, { count: 0, join, leave })
+	}
+	const room = rooms.get(key)
+	room.count++
+	// while disconnected, the connect handler joins every room
+	if (room.count === 1 && socket?.connected) {
+		join(socket)
+	}
+
+	if (!listeners.has(key)) {
+		listeners.set(key, new Set())
+	}
+	listeners.get(key).add(callback)
+
+	let active = true
+	return () => {
+		if (!active) {
+			return
+		}
+		active = false
+		listeners.get(key).delete(callback)
+		room.count--
+		if (room.count === 0) {
+			rooms.delete(key)
+			listeners.delete(key)
+			if (socket?.connected) {
+				leave(socket)
+			}
+		}
+	}
+}
+
+export function subscribeDoc(doctype, name, callback) {
+	return subscribe(
+		`doc:${doctype}/${name}`,
+		{
+			join: (socket) => socket.emit("doc_subscribe", doctype, name),
+			leave: (socket) => socket.emit("doc_unsubscribe", doctype, name),
+		},
+		callback,
+	)
+}
+
+export function subscribeDoctype(doctype, callback) {
+	return subscribe(
+		`doctype:${doctype}`,
+		{
+			join: (socket) => socket.emit("doctype_subscribe", doctype),
+			leave: (socket) => socket.emit("doctype_unsubscribe", doctype),
+		},
+		callback,
+	)
+}
+
+// Opening a document tells everyone else who has it open, and the server
+// sends the room its current viewers, { doctype, docname, users }, whenever
+// someone opens, closes or disconnects
+export function subscribeViewers(doctype, name, callback) {
+	return subscribe(
+		`viewers:${doctype}/${name}`,
+		{
+			join: (socket) => socket.emit("doc_open", doctype, name),
+			leave: (socket) => socket.emit("doc_close", doctype, name),
+		},
+		callback,
+	)
+}
+
+// Callbacks get the message with its `event` name added
+export function subscribeTask(taskId, callback) {
+	return subscribe(
+		`task:${taskId}`,
+		{
+			join: (socket) => socket.emit("task_subscribe", taskId),
+			leave: (socket) => socket.emit("task_unsubscribe", taskId),
+		},
+		callback,
+	)
+}
+
+// For events published with user=..., which go to the user's own room.
+// The server puts every connection in it, so there is no room to join.
+export function onRealtimeEvent(event, callback) {
+	const { socket } = useSocket()
+	socket?.on(event, callback)
+	return () => socket?.off(event, callback)
+}
+
+// Subscribes while `source` (refs and getters are followed) is set, and
+// unsubscribes when it changes or the component unmounts
+export function useSubscription(source, start) {
+	let stop = null
+	watch(
+		() => toValue(source),
+		(value) => {
+			stop?.()
+			stop = value ? start(value) : null
+		},
+		{ immediate: true, deep: true },
+	)
+	if (getCurrentScope()) {
+		onScopeDispose(() => stop?.())
+	}
+}
+
+// Document resource for doctype/name that reloads when someone else saves it.
+// Unsaved local changes are kept, pass onUpdate to handle that case yourself.
+export function useRealtimeDoc(doctype, name, options = {}) {
+	const resource =
+		options.resource ||
+		createDocumentResource({
+			doctype: toValue(doctype),
+			name: toValue(name),
+			auto: true,
+		})
+
+	useSubscription(
+		() => {
+			const [dt, dn] = [toValue(doctype), toValue(name)]
+			return dt && dn ? [dt, dn] : null
+		},
+		([doctype, name]) => {
+			if (!options.resource && resource.name !== name) {
+				resource.name = name
+				resource.reload()
+			}
+			return subscribeDoc(doctype, name, (data) => {
+				if (options.onUpdate) {
+					options.onUpdate(data, resource)
+				} else if (!resource.isDirty) {
+					resource.reload()
+				}
+			})
+		},
+	)
+	return resource
+}
+
+// List resource for doctype/filters that stays in sync with the server.
+// Rows already on the page are patched in place, anything else (new or
+// deleted records) reloads the list.
+export function useRealtimeList(doctype, filters = {}, options = {}) {
+	const { resource: passedResource, onUpdate, ...listOptions } = options
+	const resource =
+		passedResource ||
+		createListResource({
+			doctype: toValue(doctype),
+			filters: toValue(filters),
+			fields: ["name"],
+			auto: true,
+			...listOptions,
+		})
+
+	if (!passedResource) {
+		watch(
+			() => toValue(filters),
+			(filters) => {
+				resource.filters = filters
+				resource.reload()
+			},
+			{ deep: true },
+		)
+	}
+
+	useSubscription(
+		() => toValue(doctype),
+		(doctype) =>
+			subscribeDoctype(doctype, (data) => {
+				if (onUpdate) {
+					onUpdate(data, resource)
+				} else if (resource.getRow?.(data.name) && resource.fetchOne) {
+					resource.fetchOne.submit(data.name)
+				} else {
+					resource.reload()
+				}
+			}),
+	)
+	return resource
+}
@@ -1,17 +1,93 @@
-import { userResource } from "@/data/user"
+import { canAccess } from "@/data/permissions"
+import { addRecentDocument } from "@/data/recent"
+import { redirectQuery, sanitizeRedirect } from "@/utils/redirect"
 import { createRouter, createWebHistory } from "vue-router"
-import { session } from "./data/session"
+import { session, sessionReady } from "./data/session"
+import { cancelRouteRequests } from "./fetcher"
+
+// Besides the permission checks (see src/data/permissions.js), route meta
+// drives the app shell: `label`, `icon` and `group` add a route to the
+// sidebar, `title` and `parent` make the page title and breadcrumbs (see
+// src/utils/routeMeta.js) and `shell: false` renders the page on its own.
+const listOfDoctype = (route) => ({
+	name: "List",
+	params: { doctype: route.params.doctype },
+})
 
 const routes = [
 	{
 		path: "/",
 		name: "Home",
 		component: () => import("@/pages/Home.vue"),
+		meta: { label: "Home", icon: "home" },
 	},
 	{
 		name: "Login",
 		path: "/account/login",
 		component: () => import("@/pages/Login.vue"),
+		meta: { public: true, shell: false, title: "Login" },
+	},
+	{
+		name: "ForgotPassword",
+		path: "/account/forgot-password",
+		component: () => import("@/pages/ForgotPassword.vue"),
+		meta: { public: true, shell: false, title: "Forgot Password" },
+	},
+	{
+		name: "ResetPassword",
+		path: "/account/reset-password",
+		component: () => import("@/pages/ResetPassword.vue"),
+		meta: { public: true, shell: false, title: "Reset Password" },
+	},
+	{
+		name: "Signup",
+		path: "/account/signup",
+		component: () => import("@/pages/Signup.vue"),
+		meta: { public: true, shell: false, title: "Sign Up" },
+	},
+	{
+		name: "List",
+		path: "/list/:doctype",
+		component: () => import("@/pages/DocTypeList.vue"),
+		meta: {
+			title: (route) => route.params.doctype,
+			permissions: [
+				{ doctype: (route) => route.params.doctype, ptype: "read" },
+			],
+		},
+	},
+	{
+		name: "Form",
+		path: "/form/:doctype/:name",
+		component: () => import("@/pages/DocTypeForm.vue"),
+		meta: {
+			title: (route) =>
+				route.params.name === "new"
+					? `New ${route.params.doctype}`
+					: route.params.name,
+			parent: listOfDoctype,
+			permissions: [
+				{ doctype: (route) => route.params.doctype, ptype: "read" },
+			],
+		},
+	},
+	{
+		name: "DataImport",
+		path: "/import/:doctype",
+		component: () => import("@/pages/DataImport.vue"),
+		meta: {
+			title: "Import",
+			parent: listOfDoctype,
+			permissions: [
+				{ doctype: (route) => route.params.doctype, ptype: "import" },
+			],
+		},
+	},
+	{
+		name: "NotPermitted",
+		path: "/not-permitted",
+		component: () => import("@/pages/NotPermitted.vue"),
+		meta: { title: "Not Permitted" },
 	},
 ]
 
@@ -21,20 +97,47 @@ const router = createRouter({
 })
 
 router.beforeEach(async (to, from, next) => {
-	let isLoggedIn = session.isLoggedIn
-	try {
-		await userResource.promise
-	} catch (error) {
-		isLoggedIn = false
-	}
+	await sessionReady
+	const isLoggedIn = session.isLoggedIn
 
-	if (to.name === "Login" && isLoggedIn) {
-		next({ name: "Home" })
-	} else if (to.name !== "Login" && !isLoggedIn) {
-		next({ name: "Login" })
+	// a reset link works whoever is logged in, it resets the link's user
+	if (to.meta.public && isLoggedIn && to.name !== "ResetPassword") {
+		const redirect = sanitizeRedirect(
+			to.query.redirect,
+			router.options.history.base,
+		)
+		next(redirect || { name: "Home" })
+	} else if (!to.meta.public && !isLoggedIn) {
+		next({ name: "Login", query: redirectQuery(to) })
+	} else if (isLoggedIn && !(await canAccess(to).catch(() => false))) {
+		next({ name: "NotPermitted" })
 	} else {
 		next()
 	}
 })
 
+// every document page the user opens shows up under Recent in the
+// command palette
+router.afterEach((to, from, failure) => {
+	// a new query (filters, a page of a list) is still the same page
+	if (!failure && to.path !== from.path) {
+		cancelRouteRequests()
+	}
+	const doctype = to.meta.doctype || to.params.doctype
+	if (doctype && to.params.name && to.params.name !== "new") {
+		addRecentDocument(doctype, to.params.name)
+	}
+})
+
+// The page showing doctype/name: the first route that declares
+// meta.doctype, or else the generic form
+export function documentRoute(doctype, name) {
+	const route = router
+		.getRoutes()
+		.find((record) => record.meta.doctype === doctype)
+	return route
+		? { name: route.name, params: { name } }
+		: { name: "Form", params: { doctype, name } }
+}
+
 export default router
@@ -1,21 +1,107 @@
 import { io } from "socket.io-client"
-import { socketio_port } from "../../../../sites/common_site_config.json"
+import { computed, markRaw, reactive } from "vue"
+import { boot } from "./data/boot"
+
+// Frappe's default socketio_port, used by the dev server unless boot data says otherwise
+const defaultPort = 9000
+
+// On a bench socket.io listens on its own port, which the boot data has
+// when the page comes from `bench start` (see README), and the Vite dev
+// server has no boot data. In production nginx proxies /socket.io on the
+// page's own origin, whatever port that is, over wss when it is https.
+export function socketUrl({
+	location = window.location,
+	siteName = boot.siteName,
+	port = boot.socketioPort,
+	url = boot.socketioUrl,
+	devServer = import.meta.env.DEV,
+} = {}) {
+	let origin = url
+	if (!origin) {
+		const protocol = location.protocol === "https:" ? "https" : "http"
+		origin =
+			port || devServer
+				? `${protocol}://${location.hostname}:${port || defaultPort}`
+				: location.origin || `${protocol}://${location.host}`
+	}
+	return `${origin.replace(/\/$/, "")}/${siteName}`
+}
+
+// status: "connecting" | "connected" | "reconnecting" | "offline"
+const state = reactive({
+	socket: null,
+	status: "connecting",
+	attempts: 0,
+	connected: computed(() => state.status === "connected"),
+	reconnect,
+})
 
 let socket = null
-export function initSocket() {
-	const host = window.location.hostname
-	const siteName = window.site_name
-	const port = window.location.port ? `:${socketio_port}` : ""
-	const protocol = port ? "http" : "https"
-	const url = `${protocol}://${host}${port}/${siteName}`
+let listening = false
 
-	socket = io(url, {
+export function initSocket() {
+	// a second call replaces the connection
+	socket?.disconnect()
+	// socket.io already backs off exponentially with jitter
+	// (randomizationFactor), it just has to never give up
+	socket = io(socketUrl(), {
 		withCredentials: true,
-		reconnectionAttempts: 5,
+		reconnectionAttempts: Number.POSITIVE_INFINITY,
+		reconnectionDelay: 1000,
+		reconnectionDelayMax: 30000,
+		randomizationFactor: 0.5,
+	})
+	// its internals have no business being reactive
+	state.socket = markRaw(socket)
+
+	socket.on("connect", () => {
+		state.status = "connected"
+		state.attempts = 0
 	})
+	socket.on("disconnect", (reason) => {
+		// the server hung up on us (e.g. the session ended), socket.io
+		// leaves reconnecting to us in that case
+		if (reason === "io server disconnect") {
+			socket.connect()
+		}
+		if (reason === "io client disconnect") {
+			return
+		}
+		state.status = navigator.onLine ? "reconnecting" : "offline"
+	})
+	socket.io.on("reconnect_attempt", (attempt) => {
+		state.attempts = attempt
+		if (navigator.onLine) {
+			state.status = "reconnecting"
+		}
+	})
+
+	// once, they act on whichever socket is current
+	if (!listening) {
+		listening = true
+		window.addEventListener("offline", () => {
+			state.status = "offline"
+		})
+		window.addEventListener("online", () => {
+			if (!socket.connected) {
+				reconnect()
+			}
+		})
+	}
+
 	return socket
 }
 
+// The handshake carries the session cookie, so the connection has to be
+// made again whenever the user logs in or out
+export function reconnect() {
+	if (!socket) {
+		return
+	}
+	state.status = "connecting"
+	socket.disconnect().connect()
+}
+
 export function useSocket() {
-	return socket
+	return state
 }
@@ -0,0 +1,107 @@
+// The service worker. vite/pwa.js builds it into sw.js, with the build's
+// files in self.__BUILD__, and the app serves it at /frontend/sw.js.
+//
+// The build's files are precached and always come from the cache: their
+// names change with their content. Its fonts are cached once used. Every
+// page under the scope is the same app shell, frontend.html rendered by
+// Frappe with the boot data. It comes from the network while there is one,
+// so the boot data stays current, and from the cache when offline.
+const { version, base, files } = self.__BUILD__
+const cacheName = `frontend-${version}`
+// the shell is kept under the scope, e.g. /frontend/
+const shellKey = new URL(self.registration.scope).pathname
+
+function cacheShell(cache, response) {
+	const type = response.headers.get("Content-Type") || ""
+	if (response.ok && !response.redirected && type.includes("text/html")) {
+		return cache.put(shellKey, response.clone())
+	}
+}
+
+self.addEventListener("install", (event) => {
+	event.waitUntil(
+		caches.open(cacheName).then(async (cache) => {
+			await cache.addAll(files)
+			// the next page load caches the shell too, don't fail for it
+			try {
+				await cacheShell(cache, await fetch(shellKey))
+			} catch (error) {
+				// offline
+			}
+		}),
+	)
+})
+
+// a new build waits until the user reloads, see src/pwa.js
+self.addEventListener("message", (event) => {
+	if (event.data?.type === "skip-waiting") {
+		self.skipWaiting()
+	}
+	// logged out: the shell holds the user's boot data
+	if (event.data?.type === "clear-shell") {
+		event.waitUntil(
+			caches.open(cacheName).then((cache) => cache.delete(shellKey)),
+		)
+	}
+})
+
+self.addEventListener("activate", (event) => {
+	event.waitUntil(
+		caches
+			.keys()
+			.then((keys) =>
+				Promise.all(
+					keys
+						.filter((key) => key.startsWith("frontend-") && key !== cacheName)
+						.map((key) => caches.delete(key)),
+				),
+			)
+			.then(() => self.clients.claim()),
+	)
+})
+
+async function navigate(request) {
+	const cache = await caches.open(cacheName)
+	try {
+		const response = await fetch(request)
+		await cacheShell(cache, response)
+		return response
+	} catch (error) {
+		const shell = await cache.match(shellKey)
+		if (shell) {
+			return shell
+		}
+		throw error
+	}
+}
+
+async function fromCache(request) {
+	const cache = await caches.open(cacheName)
+	const cached = await cache.match(request)
+	if (cached) {
+		return cached
+	}
+	const response = await fetch(request)
+	if (response.ok) {
+		cache.put(request, response.clone())
+	}
+	return response
+}
+
+self.addEventListener("fetch", (event) => {
+	const { request } = event
+	const url = new URL(request.url)
+	if (request.method !== "GET" || url.origin !== self.location.origin) {
+		return
+	}
+	// the router resolves /frontend/<anything> in the page
+	if (request.mode === "navigate" && url.pathname.startsWith(shellKey)) {
+		event.respondWith(navigate(request))
+		return
+	}
+	const isFont =
+		url.pathname.startsWith(base) && /\.(woff2?|ttf)$/.test(url.pathname)
+	if (files.includes(url.pathname) || isFont) {
+		event.respondWith(fromCache(request))
+	}
+})
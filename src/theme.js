@@ -0,0 +1,75 @@
+import { call } from "frappe-ui"
+import { reactive, watch } from "vue"
+import { registerCommand } from "./commands"
+import { boot } from "./data/boot"
+import { session } from "./data/session"
+
+// preference: "light" | "dark" | "system". The choice is kept in this
+// browser and, for logged in users, as the desk theme of their User record,
+// which is what a browser without a choice of its own starts with.
+// index.html applies the browser's choice before the first paint.
+const storageKey = "theme"
+const deskThemes = { light: "Light", dark: "Dark", system: "Automatic" }
+const systemDark = window.matchMedia?.("(prefers-color-scheme: dark)")
+
+const fromDesk = (deskTheme) =>
+	Object.keys(deskThemes).find((key) => deskThemes[key] === deskTheme) ||
+	"system"
+
+export const theme = reactive({
+	preference: localStorage.getItem(storageKey) || fromDesk(boot.deskTheme),
+	dark: false,
+})
+
+function apply() {
+	theme.dark =
+		theme.preference === "dark" ||
+		(theme.preference === "system" && !!systemDark?.matches)
+	const root = document.documentElement
+	root.dataset.theme = theme.dark ? "dark" : "light"
+	root.style.colorScheme = theme.dark ? "dark" : "light"
+}
+
+export function setTheme(preference) {
+	theme.preference = preference
+	localStorage.setItem(storageKey, preference)
+	apply()
+	if (session.isLoggedIn) {
+		call("frappe.core.doctype.user.user.switch_theme", {
+			theme: deskThemes[preference],
+		}).catch(() => {})
+	}
+}
+
+apply()
+systemDark?.addEventListener("change", apply)
+
+// on the Vite dev server the desk theme only arrives after start up
+watch(
+	() => boot.deskTheme,
+	(deskTheme) => {
+		if (!localStorage.getItem(storageKey)) {
+			theme.preference = fromDesk(deskTheme)
+			apply()
+		}
+	},
+)
+
+registerCommand({
+	title: "Switch to Light Theme",
+	icon: "sun",
+	keywords: ["appearance"],
+	action: () => setTheme("light"),
+})
+registerCommand({
+	title: "Switch to Dark Theme",
+	icon: "moon",
+	keywords: ["appearance", "night"],
+	action: () => setTheme("dark"),
+})
+registerCommand({
+	title: "Use System Theme",
+	icon: "monitor",
+	keywords: ["appearance", "automatic"],
+	action: () => setTheme("system"),
+})
@@ -0,0 +1,66 @@
+import { call } from "frappe-ui"
+import { reactive, watch } from "vue"
+import { boot } from "./data/boot"
+import { isRTL, translate } from "./utils/translate"
+
+// Frappe's get_all_translations isn't whitelisted, so the app wraps it in
+// a method of its own (see README)
+const translationsMethod = "<app-name>.api.get_translations"
+
+// lang -> the site's translations into it, so switching back and forth
+// asks the server once per language. The messages are English already.
+const dictionaries = { en: {} }
+if (boot.translations) {
+	dictionaries[boot.lang] = boot.translations
+}
+
+export const translation = reactive({
+	lang: "en",
+	messages: {},
+	loading: false,
+})
+
+// The translation of message into the user's language, with {0}, {1} …
+// replaced by args, as __() in the desk. Reactive: templates using it
+// update when the language changes.
+export function __(message, args, context) {
+	return translate(translation.messages, message, args, context)
+}
+
+let requested = null
+
+// Loads the translations for lang (unless the boot data had them) and
+// switches the page to it, including its direction. Resolves once the
+// page shows lang; if loading fails, the current language stays.
+export async function setLanguage(lang) {
+	requested = lang
+	if (!(lang in dictionaries)) {
+		translation.loading = true
+		try {
+			dictionaries[lang] = await call(translationsMethod, { lang })
+		} finally {
+			translation.loading = false
+		}
+	}
+	// a newer call switched to another language while this one loaded
+	if (requested !== lang) {
+		return
+	}
+	translation.lang = lang
+	translation.messages = dictionaries[lang]
+	document.documentElement.lang = lang
+	document.documentElement.dir = isRTL(lang) ? "rtl" : "ltr"
+}
+
+watch(
+	() => boot.lang,
+	(lang) => setLanguage(lang).catch(() => {}),
+	{ immediate: true },
+)
+
+// Makes __() available in every template
+export const translationPlugin = {
+	install(app) {
+		app.config.globalProperties.__ = __
+	},
+}
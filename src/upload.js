@@ -0,0 +1,259 @@
+import {
+	computed,
+	getCurrentScope,
+	onScopeDispose,
+	reactive,
+	toValue,
+} from "vue"
+import { boot } from "./data/boot"
+import { sessionExpired } from "./data/session"
+import { isSessionError } from "./fetcher"
+import { __ } from "./translation"
+import { serverMessages, uploadId, validateFile } from "./utils/upload"
+
+const defaultChunkSize = 5 * 1024 * 1024
+
+let lastId = 0
+
+// Uploads files to Frappe, one request per file through upload_file, with
+// progress and cancelling. Files bigger than chunkSize go in pieces to
+// chunkMethod when the app provides one (see README), and a failed or
+// cancelled upload resumes from the last piece the server has.
+//
+// options: doctype, docname, fieldname (the record and field to attach
+// to, values, refs or getters), folder, isPrivate, accept, maxSize (bytes),
+// chunkSize, chunkMethod, onSuccess(fileDoc, item)
+//
+// Every file added becomes an item: { id, file, name, size, preview (an
+// object URL for images), status, progress (0-100), error, doc (the File
+// record once uploaded) }, with status "pending" | "uploading" | "done" |
+// "failed" | "cancelled" | "invalid".
+export function useFileUpload(options = {}) {
+	const chunkSize = options.chunkSize || defaultChunkSize
+	// item id -> the running request's abort()
+	const running = new Map()
+
+	const upload = reactive({
+		items: [],
+		isPrivate: !!options.isPrivate,
+		uploading: computed(() =>
+			upload.items.some((item) => item.status === "uploading"),
+		),
+		add,
+		remove,
+		clear,
+		start,
+		startAll,
+		cancel,
+	})
+
+	// Adds files (a FileList or an array), validating each one
+	function add(files) {
+		const added = []
+		for (const file of files) {
+			const error = validateFile(file, options)
+			const item = reactive({
+				id: ++lastId,
+				file,
+				name: file.name,
+				size: file.size,
+				preview: file.type?.startsWith("image/")
+					? URL.createObjectURL(file)
+					: null,
+				status: error ? "invalid" : "pending",
+				progress: 0,
+				offset: 0,
+				error,
+				doc: null,
+			})
+			upload.items.push(item)
+			added.push(item)
+		}
+		return added
+	}
+
+	function remove(item) {
+		cancel(item)
+		if (item.preview) {
+			URL.revokeObjectURL(item.preview)
+		}
+		const index = upload.items.indexOf(item)
+		if (index !== -1) {
+			upload.items.splice(index, 1)
+		}
+	}
+
+	function clear() {
+		for (const item of [...upload.items]) {
+			remove(item)
+		}
+	}
+
+	function cancel(item) {
+		running.get(item.id)?.()
+	}
+
+	function startAll() {
+		return Promise.all(
+			upload.items
+				.filter((item) =>
+					["pending", "failed", "cancelled"].includes(item.status),
+				)
+				.map(start),
+		)
+	}
+
+	// Resolves with the File record, or null when the upload failed or was
+	// cancelled; the item says which
+	async function start(item) {
+		if (item.status === "invalid" || item.status === "uploading") {
+			return item.doc
+		}
+		item.status = "uploading"
+		item.error = null
+		try {
+			item.doc =
+				options.chunkMethod && item.size > chunkSize
+					? await sendChunks(item)
+					: await sendWhole(item)
+			item.status = "done"
+			item.progress = 100
+			options.onSuccess?.(item.doc, item)
+			return item.doc
+		} catch (error) {
+			if (error.cancelled) {
+				item.status = "cancelled"
+			} else {
+				item.status = "failed"
+				item.error = error.messages?.[0] || error.message
+			}
+			return null
+		} finally {
+			running.delete(item.id)
+		}
+	}
+
+	function attachment() {
+		return {
+			is_private: upload.isPrivate ? 1 : 0,
+			folder: toValue(options.folder) || "Home",
+			doctype: toValue(options.doctype),
+			docname: toValue(options.docname),
+			fieldname: toValue(options.fieldname),
+		}
+	}
+
+	function sendWhole(item) {
+		return post(
+			item,
+			"/api/method/upload_file",
+			{
+				...attachment(),
+				file: item.file,
+				file_name: item.name,
+			},
+			(sent) => {
+				item.progress = percent(sent)
+			},
+		)
+	}
+
+	// Each request sends the piece at item.offset; the server answers with
+	// the offset it expects next, which is further along when it already had
+	// the piece, and with the File record after the last one
+	async function sendChunks(item) {
+		for (;;) {
+			const end = Math.min(item.offset + chunkSize, item.size)
+			const result = await post(
+				item,
+				`/api/method/${options.chunkMethod}`,
+				{
+					...attachment(),
+					file: item.file.slice(item.offset, end),
+					file_name: item.name,
+					upload_id: uploadId(item.file),
+					offset: item.offset,
+					total_size: item.size,
+				},
+				(sent) => {
+					item.progress = percent(
+						(item.offset + sent * (end - item.offset)) / item.size,
+					)
+				},
+			)
+			if (result.file) {
+				return result.file
+			}
+			item.offset = result.offset
+			item.progress = percent(item.offset / item.size)
+		}
+	}
+
+	function percent(fraction) {
+		return Math.min(100, Math.round(fraction * 100))
+	}
+
+	// fetch can't report upload progress, XMLHttpRequest can. onProgress
+	// gets the share of the request sent so far, which counts the form
+	// fields as well as the file.
+	function post(item, url, fields, onProgress) {
+		return new Promise((resolve, reject) => {
+			const request = new XMLHttpRequest()
+			request.open("POST", url)
+			request.setRequestHeader("Accept", "application/json")
+			if (boot.csrfToken) {
+				request.setRequestHeader("X-Frappe-CSRF-Token", boot.csrfToken)
+			}
+			request.upload.onprogress = (event) => {
+				if (event.lengthComputable && event.total) {
+					onProgress(event.loaded / event.total)
+				}
+			}
+			request.onload = () => {
+				let data = {}
+				try {
+					data = JSON.parse(request.responseText)
+				} catch (error) {
+					// an error page
+				}
+				if (request.status >= 200 && request.status < 300) {
+					resolve(data.message)
+					return
+				}
+				const messages = serverMessages(data)
+				const error = new Error(
+					messages[0] || __("Upload failed ({0})", [request.status]),
+				)
+				error.messages = messages
+				error.exc_type = data.exc_type
+				error.response = { status: request.status }
+				if (isSessionError(error)) {
+					sessionExpired()
+				}
+				reject(error)
+			}
+			request.onerror = () =>
+				reject(new Error(__("Upload failed, check your connection")))
+			request.onabort = () =>
+				reject(Object.assign(new Error("Cancelled"), { cancelled: true }))
+
+			const form = new FormData()
+			for (const [key, value] of Object.entries(fields)) {
+				if (value instanceof Blob) {
+					form.append(key, value, fields.file_name)
+				} else if (value !== undefined && value !== null) {
+					form.append(key, value)
+				}
+			}
+			running.set(item.id, () => request.abort())
+			request.send(form)
+		})
+	}
+
+	// leaving the page stops the uploads still running and frees the previews
+	if (getCurrentScope()) {
+		onScopeDispose(clear)
+	}
+
+	return upload
+}
@@ -0,0 +1,29 @@
+// Sends messages to the other open tabs of the app. Uses BroadcastChannel
+// where available, and storage events (which only fire in other tabs) elsewhere.
+export function createBroadcast(name, onMessage) {
+	if (typeof BroadcastChannel !== "undefined") {
+		const channel = new BroadcastChannel(name)
+		channel.onmessage = (event) => onMessage(event.data)
+		return {
+			post: (message) => channel.postMessage(message),
+			close: () => channel.close(),
+		}
+	}
+
+	const key = `broadcast:${name}`
+	const onStorage = (event) => {
+		if (event.key === key && event.newValue) {
+			onMessage(JSON.parse(event.newValue).message)
+		}
+	}
+	window.addEventListener("storage", onStorage)
+	return {
+		// sentAt makes repeated messages still count as a change
+		post: (message) =>
+			localStorage.setItem(
+				key,
+				JSON.stringify({ message, sentAt: Date.now() }),
+			),
+		close: () => window.removeEventListener("storage", onStorage),
+	}
+}
@@ -0,0 +1,69 @@
+// RFC 4180 CSV, as Excel and Google Sheets read and write it
+
+// Text a spreadsheet would run as a formula. Exports hold what other users
+// typed, so such cells get a leading ' to be shown as text, which parseCSV
+// drops again.
+const formulaStart = /^[=+\-@\t\r]/
+const escapedFormula = /^'(?=[=+\-@\t\r])/
+
+function escapeCell(value) {
+	if (value === null || value === undefined) {
+		return ""
+	}
+	let text = value instanceof Date ? value.toISOString() : String(value)
+	if (typeof value === "string" && formulaStart.test(text)) {
+		text = `'${text}`
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// rows: an array of arrays of cell values
+export function toCSV(rows) {
+	return rows.map((row) => row.map(escapeCell).join(",")).join("\r\n")
+}
+
+// The inverse of toCSV. Quoted cells may hold commas, quotes and newlines;
+// a byte order mark and a trailing newline are ignored.
+export function parseCSV(text) {
+	const rows = []
+	let row = []
+	let cell = ""
+	let quoted = false
+	const input = text.replace(/^\uFEFF/, "")
+	const endCell = () => {
+		row.push(cell.replace(escapedFormula, ""))
+		cell = ""
+	}
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i]
+		if (quoted) {
+			if (char === '"' && input[i + 1] === '"') {
+				cell += '"'
+				i++
+			} else if (char === '"') {
+				quoted = false
+			} else {
+				cell += char
+			}
+		} else if (char === '"') {
+			quoted = true
+		} else if (char === ",") {
+			endCell()
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && input[i + 1] === "\n") {
+				i++
+			}
+			endCell()
+			rows.push(row)
+			row = []
+		} else {
+			cell += char
+		}
+	}
+	if (cell || row.length) {
+		endCell()
+		rows.push(row)
+	}
+	return rows
+}
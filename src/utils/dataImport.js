@@ -0,0 +1,146 @@
+// Turning spreadsheet rows into documents for a data import
+
+import { layoutFieldtypes, tableFieldtypes } from "./fields"
+
+const numberFieldtypes = ["Float", "Currency", "Percent"]
+const pad = (number) => String(number).padStart(2, "0")
+
+// Fields a spreadsheet column can fill: everything with a value of its own
+// except child tables and read only fields
+export function importableFields(meta) {
+	return meta.fields.filter(
+		(field) =>
+			!layoutFieldtypes.includes(field.fieldtype) &&
+			!tableFieldtypes.includes(field.fieldtype) &&
+			field.fieldtype !== "Read Only" &&
+			!field.read_only,
+	)
+}
+
+// The fieldname for each column, matched by label or fieldname ignoring
+// case, or null. "ID" or "name" columns hold the names of records to update.
+export function autoMapColumns(header, fields) {
+	const normalize = (text) =>
+		String(text ?? "")
+			.trim()
+			.toLowerCase()
+	return header.map((column) => {
+		const title = normalize(column)
+		if (title === "id" || title === "name") {
+			return "name"
+		}
+		const field = fields.find(
+			(field) =>
+				normalize(field.label) === title ||
+				normalize(field.fieldname) === title,
+		)
+		return field?.fieldname || null
+	})
+}
+
+// A cell as the value of field, or { error } when it can't be one
+export function convertValue(value, field) {
+	if (value === null || value === undefined || value === "") {
+		return { value: null }
+	}
+	const text = typeof value === "string" ? value.trim() : value
+	switch (field.fieldtype) {
+		case "Int": {
+			const number = Number(String(text).replace(/,/g, ""))
+			return Number.isInteger(number)
+				? { value: number }
+				: { error: `${field.label}: "${value}" is not a whole number` }
+		}
+		case "Check": {
+			const flag = String(text).toLowerCase()
+			if (["1", "yes", "true"].includes(flag)) {
+				return { value: 1 }
+			}
+			if (["0", "no", "false"].includes(flag)) {
+				return { value: 0 }
+			}
+			return { error: `${field.label}: use Yes or No instead of "${value}"` }
+		}
+		case "Date":
+			return dateValue(text, field, false)
+		case "Datetime":
+			return dateValue(text, field, true)
+		case "Select": {
+			const options = (field.options || "").split("\n").filter(Boolean)
+			return options.includes(String(text))
+				? { value: String(text) }
+				: {
+						error: `${field.label}: "${value}" is not one of ${options.join(", ")}`,
+					}
+		}
+		default:
+			if (numberFieldtypes.includes(field.fieldtype)) {
+				const number = Number(String(text).replace(/,/g, ""))
+				return Number.isNaN(number)
+					? { error: `${field.label}: "${value}" is not a number` }
+					: { value: number }
+			}
+			return { value: String(text) }
+	}
+}
+
+// Spreadsheets give dates as Date objects (in UTC), CSVs as text that has
+// to be YYYY-MM-DD to be unambiguous
+function dateValue(value, field, withTime) {
+	if (value instanceof Date) {
+		const date = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`
+		const time = `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}`
+		return { value: withTime ? `${date} ${time}` : date }
+	}
+	const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2})(:\d{2})?)?$/.exec(
+		String(value),
+	)
+	if (!match) {
+		const format = withTime ? "YYYY-MM-DD HH:mm:ss" : "YYYY-MM-DD"
+		return { error: `${field.label}: write "${value}" as ${format}` }
+	}
+	const [, date, time = "00:00", seconds = ":00"] = match
+	return { value: withTime ? `${date} ${time}${seconds}` : date }
+}
+
+// One entry per non-empty row: { row (its line in the file), name (set for
+// updates), doc, errors }. Rows without a name are inserted, so their
+// required fields must be filled unless the field has a default.
+export function prepareImport(rows, mapping, fields) {
+	const records = []
+	rows.forEach((cells, i) => {
+		if (cells.every((cell) => cell === null || cell === "")) {
+			return
+		}
+		const record = { row: i + 2, name: null, doc: {}, errors: [] }
+		mapping.forEach((fieldname, column) => {
+			if (!fieldname) {
+				return
+			}
+			if (fieldname === "name") {
+				record.name = cells[column] ? String(cells[column]).trim() : null
+				return
+			}
+			const field = fields.find((field) => field.fieldname === fieldname)
+			const { value, error } = convertValue(cells[column], field)
+			if (error) {
+				record.errors.push(error)
+			} else if (value !== null) {
+				record.doc[fieldname] = value
+			}
+		})
+		if (!record.name) {
+			for (const field of fields) {
+				if (
+					field.reqd &&
+					!field.default &&
+					record.doc[field.fieldname] == null
+				) {
+					record.errors.push(`${field.label} is required`)
+				}
+			}
+		}
+		records.push(record)
+	})
+	return records
+}
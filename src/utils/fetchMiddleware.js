@@ -0,0 +1,261 @@
+// A fetcher takes frappeRequest's options and returns a promise of the
+// response. Middleware wraps one as (options, next) => promise: it can
+// change the options, call next again, skip it or change what it returns.
+// src/fetcher.js puts these together around frappeRequest.
+
+const retryStatuses = [408, 429, 502, 503, 504]
+
+// The first middleware is the outermost, the fetcher comes last
+export function compose(middleware, fetcher) {
+	return middleware.reduceRight(
+		(next, fn) => (options) => fn(options, next),
+		fetcher,
+	)
+}
+
+export function cancelledError() {
+	return Object.assign(new Error("Request cancelled"), { cancelled: true })
+}
+
+// An AbortSignal that aborts with the first of signals
+export function anySignal(...signals) {
+	const controller = new AbortController()
+	for (const signal of signals.filter(Boolean)) {
+		if (signal.aborted) {
+			controller.abort()
+			break
+		}
+		signal.addEventListener("abort", () => controller.abort(), { once: true })
+	}
+	return controller.signal
+}
+
+// Requests that can safely be sent twice: GETs, and calls the caller marks
+// with idempotent: true (frappeRequest POSTs reads like get_list too)
+export function isIdempotent(options) {
+	return (
+		(options.method || "POST").toUpperCase() === "GET" ||
+		options.idempotent === true
+	)
+}
+
+// Errors a second try might not get: no connection, or a server that is
+// restarting, overloaded or rate limiting
+export function isTransient(error) {
+	if (!error || error.cancelled) {
+		return false
+	}
+	const status = error.response?.status
+	if (status) {
+		return retryStatuses.includes(status)
+	}
+	// fetch fails with a TypeError when there is no response at all
+	return error instanceof TypeError
+}
+
+export function requestKey(options) {
+	return JSON.stringify([
+		(options.method || "POST").toUpperCase(),
+		options.url,
+		options.params || {},
+	])
+}
+
+function wait(ms, signal) {
+	return new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(cancelledError())
+			return
+		}
+		const timer = setTimeout(resolve, ms)
+		signal?.addEventListener(
+			"abort",
+			() => {
+				clearTimeout(timer)
+				reject(cancelledError())
+			},
+			{ once: true },
+		)
+	})
+}
+
+// Hands options.signal on to fetch, which frappe-ui's request calls
+// without one. It calls fetch before it returns, so fetch is swapped for
+// one that adds the signal only while fetcher runs.
+export function withSignal(fetcher) {
+	return (options) => {
+		const { signal } = options
+		if (!signal) {
+			return fetcher(options)
+		}
+		const fetch = globalThis.fetch
+		globalThis.fetch = (input, init) => fetch(input, { ...init, signal })
+		try {
+			return fetcher(options)
+		} finally {
+			globalThis.fetch = fetch
+		}
+	}
+}
+
+// Rejects as soon as options.signal aborts, whatever the middleware below
+// is doing; withSignal() aborts the request itself.
+export function cancellable(options, next) {
+	const { signal } = options
+	if (!signal) {
+		return next(options)
+	}
+	if (signal.aborted) {
+		return Promise.reject(cancelledError())
+	}
+	return new Promise((resolve, reject) => {
+		const onAbort = () => reject(cancelledError())
+		signal.addEventListener("abort", onAbort, { once: true })
+		next(options)
+			.then(resolve, reject)
+			.finally(() => signal.removeEventListener("abort", onAbort))
+	})
+}
+
+// Tries idempotent requests again after transient errors, waiting delay,
+// then twice as long, and so on
+export function retry({
+	retries = 3,
+	delay = 500,
+	shouldRetry = isIdempotent,
+} = {}) {
+	return async (options, next) => {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await next(options)
+			} catch (error) {
+				if (
+					attempt >= retries ||
+					!shouldRetry(options) ||
+					!isTransient(error) ||
+					options.signal?.aborted
+				) {
+					throw error
+				}
+				if (options.trace) {
+					options.trace.retries = attempt + 1
+				}
+				await wait(delay * 2 ** attempt, options.signal)
+			}
+		}
+	}
+}
+
+// Identical requests in flight at the same time share one request. It is
+// aborted once every caller sharing it has aborted, and each caller gets a
+// copy of the response to change as it likes.
+export function dedupe({ shouldDedupe = isIdempotent } = {}) {
+	const inFlight = new Map()
+	return async (options, next) => {
+		if (!shouldDedupe(options)) {
+			return next(options)
+		}
+		const key = requestKey(options)
+		let shared = inFlight.get(key)
+		if (shared) {
+			if (options.trace) {
+				options.trace.deduped = true
+			}
+		} else {
+			const controller = new AbortController()
+			shared = { controller, callers: 0, aborted: 0, keep: false }
+			shared.request = next({ ...options, signal: controller.signal }).finally(
+				() => inFlight.delete(key),
+			)
+			inFlight.set(key, shared)
+		}
+		shared.callers++
+		const { signal } = options
+		if (!signal) {
+			shared.keep = true
+		} else {
+			signal.addEventListener(
+				"abort",
+				() => {
+					shared.aborted++
+					if (!shared.keep && shared.aborted === shared.callers) {
+						shared.controller.abort()
+					}
+				},
+				{ once: true },
+			)
+		}
+		return structuredClone(await shared.request)
+	}
+}
+
+function batchError({ exc_type, messages = [], status }) {
+	return Object.assign(new Error(messages[0] || exc_type || "Request failed"), {
+		exc_type,
+		messages,
+		response: { status },
+	})
+}
+
+// Calls marked with batch: true that come within `wait` ms of each other
+// go to the server as one call of `method`, which runs each of them and
+// answers with a list of { message } or { exc_type, messages, status }
+// (see README). Only whitelisted methods can be batched, not /api/resource
+// URLs.
+export function batch({ method, wait = 10, maxSize = 20 } = {}) {
+	let queue = []
+	let timer = null
+
+	function flush(next) {
+		clearTimeout(timer)
+		timer = null
+		const calls = queue
+		queue = []
+		if (calls.length === 1) {
+			next(calls[0].options).then(calls[0].resolve, calls[0].reject)
+			return
+		}
+		next({
+			url: method,
+			params: {
+				calls: calls.map(({ options }) => ({
+					method: options.url.replace(/^\/api\/method\//, ""),
+					args: options.params || {},
+				})),
+			},
+		}).then(
+			(results) =>
+				calls.forEach(({ resolve, reject }, i) => {
+					const result = results?.[i] || {}
+					if ("message" in result) {
+						resolve(result.message)
+					} else {
+						reject(batchError(result))
+					}
+				}),
+			(error) => {
+				for (const { reject } of calls) {
+					reject(error)
+				}
+			},
+		)
+	}
+
+	return (options, next) => {
+		const url = options.url.replace(/^\/api\/method\//, "")
+		if (!method || !options.batch || url.startsWith("/")) {
+			return next(options)
+		}
+		if (options.trace) {
+			options.trace.batched = true
+		}
+		return new Promise((resolve, reject) => {
+			queue.push({ options, resolve, reject })
+			if (queue.length >= maxSize) {
+				flush(next)
+			} else if (!timer) {
+				timer = setTimeout(() => flush(next), wait)
+			}
+		})
+	}
+}
@@ -0,0 +1,169 @@
+// The rules the desk applies to DocType fields, for forms built from meta
+
+// Field types that hold no value of their own
+export const layoutFieldtypes = [
+	"Section Break",
+	"Column Break",
+	"Tab Break",
+	"HTML",
+	"Button",
+	"Image",
+	"Fold",
+	"Heading",
+]
+
+export const tableFieldtypes = ["Table", "Table MultiSelect"]
+
+// depends_on, mandatory_depends_on and read_only_depends_on are either
+// "eval:<expression>", run with `doc` (and `parent` for child rows) in
+// scope, or the name of a field that has to be set
+export function evaluateDependsOn(expression, doc, parent = doc) {
+	if (expression.startsWith("eval:")) {
+		try {
+			// the expressions come from DocType meta, which only
+			// administrators can edit, just like in the desk
+			const evaluate = new Function(
+				"doc",
+				"parent",
+				`return (${expression.slice(5)})`,
+			)
+			return !!evaluate(doc, parent)
+		} catch {
+			return false
+		}
+	}
+	const value = doc[expression]
+	return Array.isArray(value) ? value.length > 0 : !!value
+}
+
+export function isVisible(field, doc, parent) {
+	if (field.hidden) {
+		return false
+	}
+	return !field.depends_on || evaluateDependsOn(field.depends_on, doc, parent)
+}
+
+export function isRequired(field, doc, parent) {
+	return (
+		!!field.reqd ||
+		(!!field.mandatory_depends_on &&
+			evaluateDependsOn(field.mandatory_depends_on, doc, parent))
+	)
+}
+
+export function isReadOnly(field, doc, parent) {
+	if (field.read_only || field.fieldtype === "Read Only") {
+		return true
+	}
+	// submitted documents only take the fields marked "Allow on Submit"
+	const docstatus = (parent || doc).docstatus
+	if (docstatus === 2 || (docstatus === 1 && !field.allow_on_submit)) {
+		return true
+	}
+	return (
+		!!field.read_only_depends_on &&
+		evaluateDependsOn(field.read_only_depends_on, doc, parent)
+	)
+}
+
+export function isEmpty(value) {
+	return (
+		value === null ||
+		value === undefined ||
+		value === "" ||
+		(Array.isArray(value) && value.length === 0)
+	)
+}
+
+// Required fields left empty, as { fieldname: message }. Rows of the
+// tables in childFields (child doctype -> fields) are checked too, under
+// "<table fieldname>.<idx>.<fieldname>". Hidden fields are skipped like
+// the desk skips them.
+export function missingFields(fields, doc, { childFields = {}, parent } = {}) {
+	const missing = {}
+	for (const field of fields) {
+		if (!isVisible(field, doc, parent)) {
+			continue
+		}
+		if (isRequired(field, doc, parent) && isEmpty(doc[field.fieldname])) {
+			missing[field.fieldname] = `${field.label} is required`
+		}
+		const rowFields = childFields[field.options]
+		for (const row of (rowFields && doc[field.fieldname]) || []) {
+			const rowMissing = missingFields(rowFields, row, { parent: doc })
+			for (const [fieldname, message] of Object.entries(rowMissing)) {
+				missing[`${field.fieldname}.${row.idx}.${fieldname}`] =
+					`Row ${row.idx}: ${message}`
+			}
+		}
+	}
+	return missing
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+const stripTags = (html) => html.replace(/<[^>]+>/g, "")
+
+// Splits a failed save into { fields: { fieldname: message }, messages }.
+// A MandatoryError names the missing fields; other errors are matched by
+// the field label they mention, which Frappe puts in bold or ends with
+// ("Value missing for ToDo: Description"). Messages about no field in
+// particular are left in `messages`.
+export function fieldErrors(error, fields) {
+	const result = { fields: {}, messages: [] }
+	const messages = error?.messages?.length ? error.messages : [error?.message]
+
+	if (error?.exc_type === "MandatoryError") {
+		// frappe.exceptions.MandatoryError: [ToDo, TODO-0001]: description, status
+		const line = (error.exc || "").trim().split("\n").pop()
+		const missing = line.includes("]: ")
+			? line.split("]: ").pop().split(", ")
+			: []
+		for (const field of fields) {
+			if (missing.includes(field.fieldname)) {
+				result.fields[field.fieldname] = `${field.label} is required`
+			}
+		}
+	}
+
+	for (const message of messages.filter(Boolean)) {
+		const field = fields.find(
+			(field) =>
+				field.label &&
+				new RegExp(
+					`<(b|strong)>${escapeRegExp(field.label)}</\\1>|: ${escapeRegExp(field.label)}$`,
+				).test(message),
+		)
+		if (!field) {
+			result.messages.push(message)
+		} else if (!result.fields[field.fieldname]) {
+			result.fields[field.fieldname] = stripTags(message)
+		}
+	}
+	return result
+}
+
+// Groups fields the way the desk lays them out: Tab and Section Breaks
+// start a section, Column Breaks a column within it. Sections without a
+// single field to show are dropped.
+export function formLayout(fields) {
+	const breaks = ["Tab Break", "Section Break"]
+	const sections = []
+	let section = null
+	for (const field of fields) {
+		if (!section || breaks.includes(field.fieldtype)) {
+			// the break itself, for its label and depends_on
+			section = { field: null, columns: [[]] }
+			sections.push(section)
+		}
+		if (breaks.includes(field.fieldtype)) {
+			section.field = field
+		} else if (field.fieldtype === "Column Break") {
+			section.columns.push([])
+		} else if (!layoutFieldtypes.includes(field.fieldtype)) {
+			section.columns.at(-1).push(field)
+		}
+	}
+	return sections.filter((section) =>
+		section.columns.some((column) => column.length),
+	)
+}
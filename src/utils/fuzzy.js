@@ -0,0 +1,53 @@
+// Fuzzy matching for the command palette: every character of the query has
+// to appear in the text, in order, ignoring case. "tdl" matches "ToDo List".
+
+const wordBoundary = /[\s\-_/.:]/
+
+// How well query matches text: null when it doesn't, otherwise a score
+// that is higher for matches at the start of the text or of a word and for
+// runs of consecutive characters, and lower for longer texts.
+export function fuzzyScore(query, text) {
+	const needle = query.trim().toLowerCase()
+	const haystack = String(text ?? "").toLowerCase()
+	if (!needle) {
+		return 0
+	}
+
+	let score = 0
+	let position = -1
+	let run = 0
+	for (const char of needle) {
+		if (char === " ") {
+			run = 0
+			continue
+		}
+		const index = haystack.indexOf(char, position + 1)
+		if (index === -1) {
+			return null
+		}
+		run = index === position + 1 ? run + 1 : 1
+		score += run
+		if (index === 0) {
+			score += 8
+		} else if (wordBoundary.test(haystack[index - 1])) {
+			score += 4
+		}
+		position = index
+	}
+	return score - haystack.length / 100
+}
+
+// The items matching query, best first. keys returns the texts an item can
+// be found by; the best matching one counts.
+export function fuzzyFilter(items, query, keys = (item) => [item]) {
+	return items
+		.map((item) => {
+			const scores = keys(item)
+				.map((text) => fuzzyScore(query, text))
+				.filter((score) => score !== null)
+			return { item, score: scores.length ? Math.max(...scores) : null }
+		})
+		.filter(({ score }) => score !== null)
+		.sort((a, b) => b.score - a.score)
+		.map(({ item }) => item)
+}
@@ -0,0 +1,74 @@
+// The state of a list view as it appears in the URL:
+// /list/ToDo?status=Open&order_by=modified%20asc&page=2
+// Every key that is not one of these is a filter on the field of that name.
+const reserved = ["order_by", "page", "page_length"]
+
+// field types matched with `like` instead of `=`
+const textFieldtypes = [
+	"Data",
+	"Small Text",
+	"Text",
+	"Long Text",
+	"Text Editor",
+	"Markdown Editor",
+	"Code",
+	"Read Only",
+]
+
+export function parseListQuery(query, defaults = {}) {
+	const filters = {}
+	for (const [key, value] of Object.entries(query)) {
+		if (!reserved.includes(key) && value !== null && value !== "") {
+			filters[key] = Array.isArray(value) ? value[0] : value
+		}
+	}
+	return {
+		filters,
+		orderBy: query.order_by || defaults.orderBy || "modified desc",
+		page: Math.max(1, Number.parseInt(query.page) || 1),
+		pageLength: Number.parseInt(query.page_length) || defaults.pageLength || 20,
+	}
+}
+
+// The inverse of parseListQuery, leaving out whatever is the default so the
+// URL stays short
+export function listQuery(state, defaults = {}) {
+	const query = {}
+	for (const [key, value] of Object.entries(state.filters || {})) {
+		if (value !== null && value !== undefined && value !== "") {
+			query[key] = String(value)
+		}
+	}
+	if (
+		state.orderBy &&
+		state.orderBy !== (defaults.orderBy || "modified desc")
+	) {
+		query.order_by = state.orderBy
+	}
+	if (state.page > 1) {
+		query.page = String(state.page)
+	}
+	if (state.pageLength && state.pageLength !== (defaults.pageLength || 20)) {
+		query.page_length = String(state.pageLength)
+	}
+	return query
+}
+
+// Filter values from the URL as frappe.client.get_list filters. Text is
+// matched anywhere in the field, checkboxes take 1/0 and everything else
+// has to be equal.
+export function buildFilters(values, fields = []) {
+	const filters = {}
+	for (const [fieldname, value] of Object.entries(values)) {
+		const field = fields.find((field) => field.fieldname === fieldname)
+		const fieldtype = field?.fieldtype || (fieldname === "name" ? "Data" : null)
+		if (textFieldtypes.includes(fieldtype)) {
+			filters[fieldname] = ["like", `%${value}%`]
+		} else if (fieldtype === "Check") {
+			filters[fieldname] = Number(value) ? 1 : 0
+		} else {
+			filters[fieldname] = value
+		}
+	}
+	return filters
+}
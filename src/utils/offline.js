@@ -0,0 +1,105 @@
+// Entries of the offline write queue (see src/offline.js): the request to
+// send again, and the document it changes, for spotting conflicts
+
+// The document a write changes: frappe.client.save/insert/submit take the
+// doc, set_value/delete/cancel its doctype and name. modified is the
+// version the change was made to, when the caller knows it.
+export function writeTarget(params = {}) {
+	const doc =
+		typeof params.doc === "string" ? JSON.parse(params.doc) : params.doc
+	if (doc) {
+		return {
+			doctype: doc.doctype || null,
+			name: doc.__islocal ? null : doc.name || null,
+			modified: doc.modified || null,
+		}
+	}
+	return {
+		doctype: params.doctype || null,
+		name: typeof params.name === "string" ? params.name : null,
+		modified: null,
+	}
+}
+
+export function queueEntry(options, id = Date.now()) {
+	const target = writeTarget(options.params)
+	return {
+		id,
+		// a later write with the same key replaces this one while it waits
+		key: options.queueKey || null,
+		url: options.url,
+		// a copy: the caller may go on changing, say, the doc it saved
+		params: JSON.parse(JSON.stringify(options.params || {})),
+		doctype: target.doctype,
+		name: target.name,
+		modified: options.modified || target.modified,
+		queued: new Date().toISOString(),
+		// "pending" | "conflict" | "failed"
+		status: "pending",
+		error: null,
+	}
+}
+
+// Someone saved the document after the version this change was made to
+export function isConflict(entry, modified) {
+	return (
+		!!(entry.name && entry.modified && modified) && modified !== entry.modified
+	)
+}
+
+export function isConflictError(error) {
+	return error?.exc_type === "TimestampMismatchError"
+}
+
+// The entry made to apply on top of the server's version, modified
+export function overwrite(entry, modified) {
+	const params = { ...entry.params }
+	if (params.doc) {
+		const doc =
+			typeof params.doc === "string" ? JSON.parse(params.doc) : params.doc
+		params.doc = { ...doc, modified }
+	}
+	return { ...entry, params, modified, status: "pending", error: null }
+}
+
+// Once entry is saved as version modified, the writes queued after it for
+// the same version of the document follow on from the new one
+export function followOn(queue, entry, modified) {
+	if (!modified) {
+		return queue
+	}
+	return queue.map((other) =>
+		other !== entry &&
+		other.name &&
+		other.doctype === entry.doctype &&
+		other.name === entry.name &&
+		other.modified === entry.modified
+			? overwrite(other, modified)
+			: other,
+	)
+}
+
+// A document edited after its save was queued, moved onto what that save
+// returned: it takes the name and modified the server gave it, and its new
+// child rows take the names of the rows the server inserted
+export function rebase(doc, saved) {
+	const { __islocal, ...rebased } = doc
+	rebased.name = saved.name
+	rebased.modified = saved.modified
+	for (const [fieldname, rows] of Object.entries(rebased)) {
+		if (!Array.isArray(rows) || !Array.isArray(saved[fieldname])) {
+			continue
+		}
+		const names = new Set(rows.map((row) => row.name).filter(Boolean))
+		const inserted = saved[fieldname].filter((row) => !names.has(row.name))
+		rebased[fieldname] = rows.map((row) => {
+			if (!row.__islocal || !inserted.length) {
+				return row
+			}
+			const { __islocal, ...rest } = row
+			const match = inserted.shift()
+			return { ...rest, name: match.name, parent: match.parent }
+		})
+	}
+	return rebased
+}
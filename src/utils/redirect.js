@@ -0,0 +1,34 @@
+// Turns a `redirect` query value into a router path, or null if it points
+// outside the app. Accepts router paths ("/todos/1"), paths including the
+// history base ("/frontend/todos/1") and same-origin URLs under the base.
+export function sanitizeRedirect(redirect, base = "/frontend") {
+	if (!redirect || typeof redirect !== "string") {
+		return null
+	}
+
+	const origin = window.location.origin
+	let url
+	try {
+		url = new URL(redirect, origin)
+	} catch (error) {
+		return null
+	}
+	if (url.origin !== origin) {
+		return null
+	}
+
+	let path = url.pathname
+	if (path === base || path.startsWith(`${base}/`)) {
+		path = path.slice(base.length) || "/"
+	} else if (!redirect.startsWith("/")) {
+		return null
+	}
+	return `${path}${url.search}${url.hash}`
+}
+
+export function redirectQuery(route) {
+	if (!route || route.path === "/" || route.meta?.public) {
+		return {}
+	}
+	return { redirect: route.fullPath }
+}
@@ -0,0 +1,35 @@
+// Titles and breadcrumbs from route meta:
+//   title: "Home" or (route) => route.params.name, the page's title
+//   label: its entry in the sidebar, and its title when it has none
+//   parent: a route location or (route) => location, the page a flat route
+//     belongs under in the breadcrumbs, e.g. the list of a form
+
+function metaValue(value, route) {
+	return typeof value === "function" ? value(route) : value
+}
+
+export function routeTitle(route, record = route) {
+	return metaValue(record.meta.title ?? record.meta.label, route) || null
+}
+
+// [{ label, route }] from the outermost page down to route: the chain of
+// meta.parent, then every matched (nested) route that has a title.
+// resolve turns a route location into a route, e.g. router.resolve.
+export function routeBreadcrumbs(route, resolve) {
+	const parent = metaValue(route.meta.parent, route)
+	const crumbs = parent ? routeBreadcrumbs(resolve(parent), resolve) : []
+	for (const record of route.matched) {
+		const label = routeTitle(route, record)
+		if (!label || crumbs.at(-1)?.label === label) {
+			continue
+		}
+		let location = route.fullPath
+		if (record !== route.matched.at(-1)) {
+			location = record.name
+				? resolve({ name: record.name, params: route.params }).fullPath
+				: null
+		}
+		crumbs.push({ label, route: location })
+	}
+	return crumbs
+}
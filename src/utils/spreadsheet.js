@@ -0,0 +1,73 @@
+import { parseCSV, toCSV } from "./csv"
+
+const xlsxType =
+	"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+
+// exceljs is big, only load it when someone actually uses a spreadsheet
+async function loadExcel() {
+	return (await import("exceljs")).default
+}
+
+// Saves rows (arrays of cell values, header row first) as a download named
+// <filename>.csv or <filename>.xlsx
+export async function downloadSpreadsheet(rows, { filename, format = "csv" }) {
+	let blob
+	if (format === "xlsx") {
+		const ExcelJS = await loadExcel()
+		const workbook = new ExcelJS.Workbook()
+		// sheet names are limited to 31 characters
+		const sheet = workbook.addWorksheet(filename.slice(0, 31))
+		sheet.addRows(rows)
+		sheet.getRow(1).font = { bold: true }
+		blob = new Blob([await workbook.xlsx.writeBuffer()], { type: xlsxType })
+	} else {
+		// the byte order mark tells Excel the file is UTF-8
+		blob = new Blob(["\uFEFF", toCSV(rows)], {
+			type: "text/csv;charset=utf-8",
+		})
+	}
+	const link = document.createElement("a")
+	link.href = URL.createObjectURL(blob)
+	link.download = `${filename}.${format}`
+	link.click()
+	setTimeout(() => URL.revokeObjectURL(link.href))
+}
+
+// Reads the first sheet of a .csv or .xlsx file as an array of arrays.
+// Dates in spreadsheets come back as Date objects, everything from a CSV
+// is a string.
+export async function readSpreadsheet(file) {
+	if (!/\.xlsx$/i.test(file.name)) {
+		return parseCSV(await file.text())
+	}
+	const ExcelJS = await loadExcel()
+	const workbook = new ExcelJS.Workbook()
+	await workbook.xlsx.load(await file.arrayBuffer())
+	const sheet = workbook.worksheets[0]
+	const rows = []
+	sheet?.eachRow({ includeEmpty: true }, (row) => {
+		rows.push(
+			Array.from({ length: row.cellCount }, (_, i) =>
+				cellValue(row.getCell(i + 1).value),
+			),
+		)
+	})
+	return rows
+}
+
+// formulas, rich text and hyperlinks are objects in exceljs
+function cellValue(value) {
+	if (value === null || value === undefined) {
+		return ""
+	}
+	if (typeof value !== "object" || value instanceof Date) {
+		return value
+	}
+	if ("result" in value) {
+		return cellValue(value.result)
+	}
+	if ("richText" in value) {
+		return value.richText.map((part) => part.text).join("")
+	}
+	return value.text ?? ""
+}
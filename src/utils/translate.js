@@ -0,0 +1,25 @@
+// Frappe's translation rules, shared by __() and the tests
+
+// Languages written right to left; the rest of a code ("ar-SA") doesn't matter
+const rtlLanguages = ["ar", "fa", "he", "ur", "ps", "ku", "yi"]
+
+export function isRTL(lang) {
+	return rtlLanguages.includes(String(lang || "").split(/[-_]/)[0])
+}
+
+// {0}, {1} … replaced by the values in args, like jQuery's $.format in the desk
+export function formatMessage(message, args = []) {
+	return String(message).replace(/\{(\d+)\}/g, (placeholder, index) =>
+		index < args.length ? String(args[index]) : placeholder,
+	)
+}
+
+// message in messages, the dictionary of a language; a translation for
+// "message:context" wins over the plain one, as in frappe._()
+export function translate(messages, message, args, context) {
+	const translated =
+		(context && messages[`${message}:${context}`]) ||
+		messages[message] ||
+		message
+	return args ? formatMessage(translated, args) : translated
+}
@@ -0,0 +1,71 @@
+// Checks and formatting for file uploads, shared by useFileUpload and the tests
+
+import { __ } from "../translation"
+
+const units = ["B", "KB", "MB", "GB"]
+
+export function formatSize(bytes) {
+	let size = bytes
+	let unit = 0
+	while (size >= 1024 && unit < units.length - 1) {
+		size /= 1024
+		unit++
+	}
+	return `${unit ? size.toFixed(1).replace(/\.0$/, "") : size} ${units[unit]}`
+}
+
+// accept as in <input accept>: ".pdf,image/*,text/csv"
+export function acceptsFile(file, accept) {
+	if (!accept) {
+		return true
+	}
+	const name = file.name.toLowerCase()
+	const type = (file.type || "").toLowerCase()
+	return accept
+		.split(",")
+		.map((pattern) => pattern.trim().toLowerCase())
+		.filter(Boolean)
+		.some((pattern) => {
+			if (pattern.startsWith(".")) {
+				return name.endsWith(pattern)
+			}
+			if (pattern.endsWith("/*")) {
+				return type.startsWith(pattern.slice(0, -1))
+			}
+			return type === pattern
+		})
+}
+
+// Why file can't be uploaded, or null
+export function validateFile(file, { accept, maxSize } = {}) {
+	if (!acceptsFile(file, accept)) {
+		return __("{0} is not an accepted file type ({1})", [file.name, accept])
+	}
+	if (maxSize && file.size > maxSize) {
+		return __("{0} is larger than {1}", [file.name, formatSize(maxSize)])
+	}
+	return null
+}
+
+// The same file picked again gets the same id, so a chunked upload can
+// pick up where it stopped, even after a reload
+export function uploadId(file) {
+	return `${file.name}-${file.size}-${file.lastModified}`
+}
+
+// The messages of a Frappe error response: msgprints first, then the
+// exception itself
+export function serverMessages(data) {
+	const messages = []
+	try {
+		for (const message of JSON.parse(data?._server_messages || "[]")) {
+			messages.push(JSON.parse(message).message)
+		}
+	} catch (error) {
+		// not a Frappe response
+	}
+	if (!messages.length && data?.exception) {
+		messages.push(data.exception.replace(/^[\w.]+: /, ""))
+	}
+	return messages.map((message) => String(message).replace(/<[^>]+>/g, ""))
+}
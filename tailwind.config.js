@@ -1,4 +1,54 @@
-import frappeUIPreset from "frappe-ui/src/tailwind/preset"
+import { readFileSync } from "node:fs"
+import { createRequire } from "node:module"
+import path from "node:path"
+import frappeUIPreset from "frappe-ui/tailwind"
+import plugin from "tailwindcss/plugin"
+import brand from "./src/brand"
+
+// frappe-ui only exports its tailwind preset, so its palette is read from
+// the file next to it
+const frappeUITailwind = createRequire(import.meta.url).resolve(
+	"frappe-ui/tailwind",
+)
+const frappeUIColors = JSON.parse(
+	readFileSync(
+		path.join(path.dirname(frappeUITailwind), "colors.json"),
+		"utf8",
+	),
+)
+
+const shades = Object.keys(brand.light)
+
+// Classes read the palette through variables, so they follow the theme
+const brandColors = Object.fromEntries(
+	shades.map((shade) => [shade, `var(--brand-${shade})`]),
+)
+
+// --brand-500 and so on, plus every semantic color frappe-ui mixes from its
+// blue (--ink-blue-link, --surface-blue-2 …) redone with the brand palette
+function brandVariables(mode, palette) {
+	const variables = {}
+	for (const shade of shades) {
+		variables[`--brand-${shade}`] = palette[shade]
+	}
+	const themed = frappeUIColors.themedVariables[mode]
+	for (const [category, colors] of Object.entries(themed)) {
+		for (const [name, reference] of Object.entries(colors)) {
+			const [, color, shade] = reference.split("/")
+			if (color === "blue" && palette[shade]) {
+				variables[`--${category}-${name}`] = palette[shade]
+			}
+		}
+	}
+	return variables
+}
+
+const brandPlugin = plugin(({ addBase }) => {
+	addBase({
+		":root": brandVariables("light", brand.light),
+		'[data-theme="dark"]': brandVariables("dark", brand.dark),
+	})
+})
 
 export default {
 	presets: [frappeUIPreset],
@@ -8,7 +58,13 @@ export default {
 		"./node_modules/frappe-ui/src/components/**/*.{vue,js,ts,jsx,tsx}",
 	],
 	theme: {
-		extend: {},
+		extend: {
+			colors: {
+				brand: brandColors,
+				// frappe-ui's components use blue as their accent
+				blue: brandColors,
+			},
+		},
 	},
-	plugins: [],
+	plugins: [brandPlugin],
 }
@@ -0,0 +1,50 @@
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { createBroadcast } from "../src/utils/broadcast"
+
+describe("Cross-tab Broadcast", () => {
+	afterEach(() => {
+		vi.unstubAllGlobals()
+	})
+
+	it("should deliver messages to other instances over BroadcastChannel", async () => {
+		const received = vi.fn()
+		const sender = createBroadcast("test-session", vi.fn())
+		const receiver = createBroadcast("test-session", received)
+
+		sender.post({ user: "jane@example.com" })
+		await vi.waitFor(() => expect(received).toHaveBeenCalled())
+		expect(received).toHaveBeenCalledWith({ user: "jane@example.com" })
+
+		sender.close()
+		receiver.close()
+	})
+
+	it("should fall back to storage events without BroadcastChannel", () => {
+		const listeners = {}
+		vi.stubGlobal("BroadcastChannel", undefined)
+		vi.stubGlobal("localStorage", { setItem: vi.fn() })
+		window.addEventListener = vi.fn((type, listener) => {
+			listeners[type] = listener
+		})
+		window.removeEventListener = vi.fn()
+
+		const received = vi.fn()
+		const broadcast = createBroadcast("test-session", received)
+
+		broadcast.post({ user: null })
+		const [key, value] = localStorage.setItem.mock.calls[0]
+		expect(key).toBe("broadcast:test-session")
+
+		listeners.storage({ key: "other-key", newValue: value })
+		expect(received).not.toHaveBeenCalled()
+
+		listeners.storage({ key, newValue: value })
+		expect(received).toHaveBeenCalledWith({ user: null })
+
+		broadcast.close()
+		expect(window.removeEventListener).toHaveBeenCalledWith(
+			"storage",
+			listeners.storage,
+		)
+	})
+})
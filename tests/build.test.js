@@ -6,7 +6,25 @@ import { afterAll, beforeAll, describe, expect, it } from "vitest"
 describe("Build Process Tests", () => {
     // Track if we need to clean up build artifacts
     let buildOutputPath
+    let indexHtmlPath
     let originalPackageJson
+    let buildResult
+
+    // Build once and share the outcome between the tests below
+    function runBuild() {
+        if (!buildResult) {
+            try {
+                execSync("yarn build", {
+                    stdio: "pipe",
+                    cwd: process.cwd(),
+                })
+                buildResult = { error: null }
+            } catch (error) {
+                buildResult = { error }
+            }
+        }
+        return buildResult
+    }
 
     beforeAll(() => {
         // Store original package.json for restoration
@@ -15,6 +33,10 @@ describe("Build Process Tests", () => {
             process.cwd(),
             "../<app-name>/public/frontend",
         )
+        indexHtmlPath = path.resolve(
+            process.cwd(),
+            "../<app-name>/www/frontend.html",
+        )
     })
 
     afterAll(() => {
@@ -23,6 +45,11 @@ describe("Build Process Tests", () => {
             // Remove the entire build output directory
             fs.rmSync(buildOutputPath, { recursive: true, force: true })
         }
+        // frontend.html lands in the placeholder app, which only exists because of the build
+        const placeholderAppPath = path.resolve(process.cwd(), "../<app-name>")
+        if (fs.existsSync(placeholderAppPath)) {
+            fs.rmSync(placeholderAppPath, { recursive: true, force: true })
+        }
 
         // Restore original package.json
         fs.writeFileSync("package.json", originalPackageJson)
@@ -143,13 +170,11 @@ describe("Build Process Tests", () => {
     })
 
     describe("Socket Module Configuration", () => {
-        it("should reference placeholder config path", () => {
+        it("should not import the bench's common_site_config.json", () => {
             const socketContent = fs.readFileSync("src/socket.js", "utf8")
 
-            // Check that it references the placeholder path
-            expect(socketContent).toContain(
-                "../../../../sites/common_site_config.json",
-            )
+            // The socket URL is resolved at runtime, so the project builds outside a bench
+            expect(socketContent).not.toContain("common_site_config.json")
         })
 
         it("should have expected socket functions", () => {
@@ -190,43 +215,64 @@ describe("Build Process Tests", () => {
     })
 
     describe("Actual Build Process", () => {
-        it("should fail build due to missing placeholder config (expected behavior)", () => {
-            // This test expects the build to fail due to missing placeholder files
-            // This is the expected behavior in a standalone environment
-            expect(() => {
-                execSync("yarn build", {
-                    stdio: "pipe",
-                    cwd: process.cwd(),
-                })
-            }).toThrow()
-        })
+        it("should build without the bench's common_site_config.json", () => {
+            const { error } = runBuild()
 
-        it("should fail with specific error about missing common_site_config.json", () => {
-            try {
-                execSync("yarn build", {
-                    stdio: "pipe",
-                    cwd: process.cwd(),
-                })
-            } catch (error) {
-                const errorMessage = error.message
+            expect(error).toBeNull()
+        }, 120000)
 
-                // Check that the error is about the missing config file
-                expect(errorMessage).toContain("Could not resolve")
-                expect(errorMessage).toContain("common_site_config.json")
-                expect(errorMessage).toContain("src/socket.js")
-            }
-        })
+        it("should create build output directory", () => {
+            runBuild()
 
-        it("should not create build output directory when build fails", () => {
-            // Since the build fails, no output directory should be created
-            expect(fs.existsSync(buildOutputPath)).toBe(false)
+            expect(fs.existsSync(buildOutputPath)).toBe(true)
         })
     })
 
     describe("Build Artifacts Quality", () => {
-        it("should not have build artifacts when build fails", () => {
-            // Since the build fails, no artifacts should exist
-            expect(fs.existsSync(buildOutputPath)).toBe(false)
+        it("should write frontend.html with jinja boot data", () => {
+            runBuild()
+
+            expect(fs.existsSync(indexHtmlPath)).toBe(true)
+            const html = fs.readFileSync(indexHtmlPath, "utf8")
+            expect(html).toContain("{% for key in boot %}")
+        })
+
+        it("should emit a web app manifest scoped to the router's base", () => {
+            runBuild()
+
+            const manifestPath = path.join(buildOutputPath, "manifest.webmanifest")
+            expect(fs.existsSync(manifestPath)).toBe(true)
+            const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"))
+            expect(manifest.scope).toBe("/frontend/")
+            expect(manifest.start_url).toBe("/frontend/")
+            const html = fs.readFileSync(indexHtmlPath, "utf8")
+            expect(html).toContain('rel="manifest"')
+            expect(html).toContain('media="(prefers-color-scheme: dark)"')
+        })
+
+        it("should emit a service worker that precaches the hashed chunks", () => {
+            runBuild()
+
+            const workerPath = path.join(buildOutputPath, "sw.js")
+            expect(fs.existsSync(workerPath)).toBe(true)
+            const worker = fs.readFileSync(workerPath, "utf8")
+            const [, build] = worker.match(/^self\.__BUILD__ = (.*)$/m)
+            const { base, files } = JSON.parse(build)
+
+            // the base as the browser requests it
+            const assetsBase = new URL(
+                "/assets/<app-name>/frontend/",
+                "http://localhost",
+            ).pathname
+            expect(base).toBe(assetsBase)
+            expect(files.some((file) => /\/assets\/index-[\w-]+\.js$/.test(file))).toBe(
+                true,
+            )
+            for (const file of files) {
+                expect(file.startsWith(assetsBase)).toBe(true)
+                const relative = decodeURIComponent(file.slice(assetsBase.length))
+                expect(fs.existsSync(path.join(buildOutputPath, relative))).toBe(true)
+            }
         })
     })
 
@@ -304,45 +350,36 @@ describe("Build Process Tests", () => {
 
     describe("Build Failure Analysis", () => {
         it("should identify the root cause of build failure", () => {
-            try {
-                execSync("yarn build", {
-                    stdio: "pipe",
-                    cwd: process.cwd(),
-                })
-            } catch (error) {
-                const errorMessage = error.message
-
-                // Analyze the error to identify the root cause
-                if (errorMessage.includes("common_site_config.json")) {
-                    console.log("🔍 Build failure analysis:")
-                    console.log("   Root cause: Missing placeholder configuration file")
-                    console.log("   Expected: ../../../../sites/common_site_config.json")
-                    console.log(
-                        "   Solution: This file is expected to exist in a full Frappe environment",
-                    )
-                    console.log("   Status: ✅ Expected behavior in standalone testing")
-                } else if (errorMessage.includes("frappeui")) {
-                    console.log("🔍 Build failure analysis:")
-                    console.log("   Root cause: FrappeUI plugin configuration issue")
-                    console.log("   Expected: Proper FrappeUI plugin setup")
-                    console.log(
-                        "   Solution: Check FrappeUI plugin configuration and version compatibility",
-                    )
-                    console.log("   Status: ❌ Unexpected configuration issue")
-                } else {
-                    console.log("🔍 Build failure analysis:")
-                    console.log("   Root cause: Unknown build error")
-                    console.log("   Error details:", errorMessage)
-                    console.log("   Status: ❌ Unexpected build error")
-                }
+            const { error } = runBuild()
+            if (!error) {
+                console.log("🔍 Build succeeded, nothing to analyse")
+                return
+            }
+
+            const errorMessage = error.message
+
+            // Analyze the error to identify the root cause
+            if (errorMessage.includes("frappeui")) {
+                console.log("🔍 Build failure analysis:")
+                console.log("   Root cause: FrappeUI plugin configuration issue")
+                console.log("   Expected: Proper FrappeUI plugin setup")
+                console.log(
+                    "   Solution: Check FrappeUI plugin configuration and version compatibility",
+                )
+                console.log("   Status: ❌ Unexpected configuration issue")
+            } else {
+                console.log("🔍 Build failure analysis:")
+                console.log("   Root cause: Unknown build error")
+                console.log("   Error details:", errorMessage)
+                console.log("   Status: ❌ Unexpected build error")
             }
         })
 
         it("should provide actionable feedback for build issues", () => {
             // This test provides guidance on how to resolve build issues
             console.log("📋 Build Issue Resolution Guide:")
-            console.log("   1. Missing placeholder files:")
-            console.log("      - Create mock files for testing")
+            console.log("   1. Output paths:")
+            console.log("      - Replace <app-name> in vite.config.js with your app")
             console.log("      - Or run in full Frappe environment")
             console.log("   2. Package version conflicts:")
             console.log("      - Check dependency compatibility")
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest"
+import { parseCSV, toCSV } from "../src/utils/csv"
+
+describe("CSV", () => {
+	it("should quote cells only when needed", () => {
+		expect(
+			toCSV([
+				["ID", "Description", "Count"],
+				["TD-1", 'Say "hi", then leave', 2],
+				["TD-2", "Line one\nLine two", null],
+			]),
+		).toBe(
+			'ID,Description,Count\r\nTD-1,"Say ""hi"", then leave",2\r\nTD-2,"Line one\nLine two",',
+		)
+	})
+
+	it("should keep text from running as a formula", () => {
+		expect(
+			toCSV([
+				['=HYPERLINK("http://example.com")', "+1", "-1", "@SUM(A1)"],
+				["\tTab", "\rReturn", -1, "a=b"],
+			]),
+		).toBe(
+			`"'=HYPERLINK(""http://example.com"")",'+1,'-1,'@SUM(A1)\r\n'\tTab,"'\rReturn",-1,a=b`,
+		)
+	})
+
+	it("should read back what it kept from running as a formula", () => {
+		const rows = [
+			["Amount", "Phone", "Note"],
+			["-5", "+1 555 0100", "=1+1"],
+			["@home", "\tTab", "'quoted already"],
+		]
+		expect(parseCSV(toCSV(rows))).toEqual(rows)
+	})
+
+	it("should parse what it writes", () => {
+		const rows = [
+			["ID", "Description"],
+			["TD-1", 'Say "hi", then leave'],
+			["TD-2", "Line one\r\nLine two"],
+			["TD-3", ""],
+		]
+		expect(parseCSV(toCSV(rows))).toEqual(rows)
+	})
+
+	it("should ignore a byte order mark and a trailing newline", () => {
+		expect(parseCSV("\uFEFFa,b\n1,2\n")).toEqual([
+			["a", "b"],
+			["1", "2"],
+		])
+	})
+})
@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest"
+import {
+	autoMapColumns,
+	convertValue,
+	importableFields,
+	prepareImport,
+} from "../src/utils/dataImport"
+
+const fields = [
+	{
+		fieldname: "description",
+		label: "Description",
+		fieldtype: "Text",
+		reqd: 1,
+	},
+	{
+		fieldname: "status",
+		label: "Status",
+		fieldtype: "Select",
+		options: "Open\nClosed",
+		default: "Open",
+		reqd: 1,
+	},
+	{ fieldname: "date", label: "Due Date", fieldtype: "Date" },
+	{ fieldname: "priority", label: "Priority", fieldtype: "Int" },
+]
+
+describe("Data Import", () => {
+	it("should leave out layout, table and read only fields", () => {
+		const meta = {
+			fields: [
+				...fields,
+				{ fieldname: "sb", fieldtype: "Section Break" },
+				{ fieldname: "items", fieldtype: "Table" },
+				{ fieldname: "total", fieldtype: "Currency", read_only: 1 },
+			],
+		}
+		expect(importableFields(meta)).toEqual(fields)
+	})
+
+	it("should map columns by label, fieldname or ID", () => {
+		expect(
+			autoMapColumns(["ID", " due date ", "STATUS", "Notes"], fields),
+		).toEqual(["name", "date", "status", null])
+	})
+
+	it("should convert cells to field values", () => {
+		const [, status, date, priority] = fields
+		expect(convertValue("1,200", priority)).toEqual({ value: 1200 })
+		expect(convertValue("1.5", priority).error).toBeTruthy()
+		expect(convertValue("Closed", status)).toEqual({ value: "Closed" })
+		expect(convertValue("Done", status).error).toBeTruthy()
+		expect(convertValue("2024-03-01", date)).toEqual({ value: "2024-03-01" })
+		expect(convertValue(new Date(Date.UTC(2024, 2, 1)), date)).toEqual({
+			value: "2024-03-01",
+		})
+		expect(convertValue("01/03/2024", date).error).toBeTruthy()
+		expect(convertValue("yes", { label: "Done", fieldtype: "Check" })).toEqual({
+			value: 1,
+		})
+		expect(
+			convertValue("2024-03-01 09:30", { label: "At", fieldtype: "Datetime" }),
+		).toEqual({ value: "2024-03-01 09:30:00" })
+	})
+
+	it("should split rows into inserts, updates and errors", () => {
+		const mapping = ["name", "description", "status", "priority"]
+		const records = prepareImport(
+			[
+				["", "Call back", "", "2"],
+				["TD-1", "", "Closed", ""],
+				["", "", "", ""],
+				["", "", "Done", "high"],
+			],
+			mapping,
+			fields,
+		)
+		expect(records).toEqual([
+			{
+				row: 2,
+				name: null,
+				doc: { description: "Call back", priority: 2 },
+				errors: [],
+			},
+			{ row: 3, name: "TD-1", doc: { status: "Closed" }, errors: [] },
+			{
+				row: 5,
+				name: null,
+				doc: {},
+				errors: [
+					'Status: "Done" is not one of Open, Closed',
+					'Priority: "high" is not a whole number',
+					"Description is required",
+				],
+			},
+		])
+	})
+})
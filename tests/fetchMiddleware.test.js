@@ -0,0 +1,217 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import {
+	batch,
+	cancellable,
+	compose,
+	dedupe,
+	isTransient,
+	retry,
+	withSignal,
+} from "../src/utils/fetchMiddleware"
+
+const networkError = () => new TypeError("Failed to fetch")
+const statusError = (status) =>
+	Object.assign(new Error(`HTTP ${status}`), { response: { status } })
+
+describe("Fetcher Middleware", () => {
+	beforeEach(() => {
+		vi.useFakeTimers()
+	})
+
+	afterEach(() => {
+		vi.useRealTimers()
+	})
+
+	it("should run middleware outermost first", async () => {
+		const calls = []
+		const tag = (name) => (options, next) => {
+			calls.push(name)
+			return next({ ...options, tags: [...options.tags, name] })
+		}
+		const fetcher = compose(
+			[tag("a"), tag("b")],
+			async (options) => options.tags,
+		)
+		expect(await fetcher({ tags: [] })).toEqual(["a", "b"])
+		expect(calls).toEqual(["a", "b"])
+	})
+
+	it("should only treat connection and overload errors as transient", () => {
+		expect(isTransient(networkError())).toBe(true)
+		expect(isTransient(statusError(503))).toBe(true)
+		expect(isTransient(statusError(429))).toBe(true)
+		expect(isTransient(statusError(417))).toBe(false)
+		expect(isTransient(statusError(500))).toBe(false)
+		expect(isTransient(Object.assign(new Error(), { cancelled: true }))).toBe(
+			false,
+		)
+	})
+
+	it("should retry idempotent requests with backoff", async () => {
+		const fetch = vi
+			.fn()
+			.mockRejectedValueOnce(networkError())
+			.mockRejectedValueOnce(statusError(502))
+			.mockResolvedValue("ok")
+		const fetcher = compose([retry({ delay: 100 })], fetch)
+
+		const result = fetcher({ url: "ping", method: "GET" })
+		await vi.advanceTimersByTimeAsync(99)
+		expect(fetch).toHaveBeenCalledTimes(1)
+		await vi.advanceTimersByTimeAsync(1)
+		expect(fetch).toHaveBeenCalledTimes(2)
+		await vi.advanceTimersByTimeAsync(200)
+		expect(await result).toBe("ok")
+		expect(fetch).toHaveBeenCalledTimes(3)
+	})
+
+	it("should not retry writes or permanent errors", async () => {
+		const fetch = vi.fn().mockRejectedValue(networkError())
+		const fetcher = compose([retry()], fetch)
+		await expect(fetcher({ url: "frappe.client.insert" })).rejects.toThrow()
+		expect(fetch).toHaveBeenCalledTimes(1)
+
+		const forbidden = vi.fn().mockRejectedValue(statusError(403))
+		await expect(
+			compose([retry()], forbidden)({ url: "ping", method: "GET" }),
+		).rejects.toThrow("HTTP 403")
+		expect(forbidden).toHaveBeenCalledTimes(1)
+	})
+
+	it("should share identical requests in flight", async () => {
+		const fetch = vi.fn(
+			(options) =>
+				new Promise((resolve) => setTimeout(() => resolve(options.params), 10)),
+		)
+		const fetcher = compose([dedupe()], fetch)
+		const options = { url: "frappe.client.get_list", idempotent: true }
+		const first = fetcher({ ...options, params: { doctype: "ToDo" } })
+		const second = fetcher({ ...options, params: { doctype: "ToDo" } })
+		const other = fetcher({ ...options, params: { doctype: "Note" } })
+		await vi.advanceTimersByTimeAsync(10)
+		expect(await first).toEqual({ doctype: "ToDo" })
+		expect(await second).toEqual({ doctype: "ToDo" })
+		expect(await other).toEqual({ doctype: "Note" })
+		expect(fetch).toHaveBeenCalledTimes(2)
+		// each caller has its own copy
+		expect(await first).not.toBe(await second)
+
+		// once answered, the same request goes out again
+		fetcher({ ...options, params: { doctype: "ToDo" } })
+		expect(fetch).toHaveBeenCalledTimes(3)
+	})
+
+	it("should abort a shared request once every caller has", async () => {
+		const signals = []
+		const fetch = vi.fn(({ signal }) => {
+			signals.push(signal)
+			return new Promise((resolve) => setTimeout(() => resolve("ok"), 10))
+		})
+		const fetcher = compose([cancellable, dedupe()], fetch)
+		const options = { url: "frappe.client.get_list", idempotent: true }
+		const one = new AbortController()
+		const two = new AbortController()
+
+		const first = fetcher({ ...options, signal: one.signal })
+		const second = fetcher({ ...options, signal: two.signal })
+		one.abort()
+		await expect(first).rejects.toMatchObject({ cancelled: true })
+		expect(signals[0].aborted).toBe(false)
+
+		two.abort()
+		await expect(second).rejects.toMatchObject({ cancelled: true })
+		expect(signals[0].aborted).toBe(true)
+		expect(fetch).toHaveBeenCalledTimes(1)
+		await vi.advanceTimersByTimeAsync(10)
+	})
+
+	it("should hand the signal on to fetch", async () => {
+		const fetch = globalThis.fetch
+		const calls = []
+		const stub = (url, init) => {
+			calls.push(init)
+			return Promise.resolve(url)
+		}
+		globalThis.fetch = stub
+		try {
+			// like frappe-ui's request: fetch without a signal
+			const request = withSignal((options) =>
+				globalThis.fetch(options.url, { method: "POST" }),
+			)
+			const controller = new AbortController()
+			await request({ url: "ping", signal: controller.signal })
+			await request({ url: "ping" })
+			expect(calls[0]).toEqual({ method: "POST", signal: controller.signal })
+			expect(calls[1]).toEqual({ method: "POST" })
+			expect(globalThis.fetch).toBe(stub)
+		} finally {
+			globalThis.fetch = fetch
+		}
+	})
+
+	it("should reject when the signal aborts", async () => {
+		const fetcher = compose(
+			[cancellable],
+			() => new Promise((resolve) => setTimeout(resolve, 1000)),
+		)
+		const controller = new AbortController()
+		const result = fetcher({ url: "ping", signal: controller.signal })
+		controller.abort()
+		await expect(result).rejects.toMatchObject({ cancelled: true })
+		await expect(
+			fetcher({ url: "ping", signal: controller.signal }),
+		).rejects.toMatchObject({ cancelled: true })
+	})
+
+	it("should batch marked calls into one request", async () => {
+		const fetch = vi.fn(async (options) =>
+			options.params.calls.map((call) =>
+				call.method === "fail"
+					? { exc_type: "ValidationError", messages: ["Nope"], status: 417 }
+					: { message: call.args.n },
+			),
+		)
+		const fetcher = compose([batch({ method: "app.api.batch" })], fetch)
+
+		const one = fetcher({ url: "app.api.one", params: { n: 1 }, batch: true })
+		const two = fetcher({
+			url: "/api/method/app.api.two",
+			params: { n: 2 },
+			batch: true,
+		})
+		const failed = expect(
+			fetcher({ url: "fail", batch: true }),
+		).rejects.toMatchObject({
+			message: "Nope",
+			exc_type: "ValidationError",
+			response: { status: 417 },
+		})
+		await vi.advanceTimersByTimeAsync(10)
+
+		expect(await one).toBe(1)
+		expect(await two).toBe(2)
+		await failed
+		expect(fetch).toHaveBeenCalledTimes(1)
+		expect(fetch.mock.calls[0][0]).toEqual({
+			url: "app.api.batch",
+			params: {
+				calls: [
+					{ method: "app.api.one", args: { n: 1 } },
+					{ method: "app.api.two", args: { n: 2 } },
+					{ method: "fail", args: {} },
+				],
+			},
+		})
+	})
+
+	it("should send a lone or unmarked call as it is", async () => {
+		const fetch = vi.fn(async (options) => options.url)
+		const fetcher = compose([batch({ method: "app.api.batch" })], fetch)
+		expect(await fetcher({ url: "app.api.one" })).toBe("app.api.one")
+
+		const lone = fetcher({ url: "app.api.two", batch: true })
+		await vi.advanceTimersByTimeAsync(10)
+		expect(await lone).toBe("app.api.two")
+		expect(fetch).toHaveBeenCalledTimes(2)
+	})
+})
@@ -0,0 +1,151 @@
+import { describe, expect, it } from "vitest"
+import {
+	evaluateDependsOn,
+	fieldErrors,
+	formLayout,
+	isReadOnly,
+	missingFields,
+} from "../src/utils/fields"
+
+describe("DocType Fields", () => {
+	describe("evaluateDependsOn", () => {
+		it("should evaluate eval: expressions against the document", () => {
+			const doc = { status: "Open", priority: "High" }
+			expect(evaluateDependsOn("eval:doc.status=='Open'", doc)).toBe(true)
+			expect(evaluateDependsOn("eval:doc.status==='Closed'", doc)).toBe(false)
+		})
+
+		it("should give child rows their parent", () => {
+			expect(
+				evaluateDependsOn(
+					"eval:parent.is_return",
+					{ qty: 1 },
+					{ is_return: 1 },
+				),
+			).toBe(true)
+		})
+
+		it("should treat a fieldname as a check for a value", () => {
+			expect(evaluateDependsOn("customer", { customer: "ACME" })).toBe(true)
+			expect(evaluateDependsOn("customer", { customer: "" })).toBe(false)
+			expect(evaluateDependsOn("items", { items: [] })).toBe(false)
+		})
+
+		it("should be false for broken expressions", () => {
+			expect(evaluateDependsOn("eval:doc.", {})).toBe(false)
+			expect(evaluateDependsOn("eval:doc.a.b", {})).toBe(false)
+		})
+	})
+
+	describe("isReadOnly", () => {
+		it("should lock submitted documents except fields allowed on submit", () => {
+			const doc = { docstatus: 1 }
+			expect(isReadOnly({ fieldname: "title" }, doc)).toBe(true)
+			expect(
+				isReadOnly({ fieldname: "remarks", allow_on_submit: 1 }, doc),
+			).toBe(false)
+		})
+
+		it("should follow read_only_depends_on", () => {
+			const field = { fieldname: "rate", read_only_depends_on: "is_fixed" }
+			expect(isReadOnly(field, { docstatus: 0, is_fixed: 1 })).toBe(true)
+			expect(isReadOnly(field, { docstatus: 0, is_fixed: 0 })).toBe(false)
+		})
+	})
+
+	describe("missingFields", () => {
+		const fields = [
+			{ fieldname: "description", label: "Description", reqd: 1 },
+			{
+				fieldname: "reason",
+				label: "Reason",
+				mandatory_depends_on: "eval:doc.status=='Cancelled'",
+			},
+			{ fieldname: "notes", label: "Notes", reqd: 1, depends_on: "eval:0" },
+			{
+				fieldname: "items",
+				label: "Items",
+				fieldtype: "Table",
+				options: "ToDo Item",
+			},
+		]
+		const childFields = {
+			"ToDo Item": [{ fieldname: "item", label: "Item", reqd: 1 }],
+		}
+
+		it("should list empty required fields, skipping hidden ones", () => {
+			expect(
+				missingFields(
+					fields,
+					{ status: "Cancelled", items: [] },
+					{ childFields },
+				),
+			).toEqual({
+				description: "Description is required",
+				reason: "Reason is required",
+			})
+		})
+
+		it("should check child rows", () => {
+			const doc = {
+				description: "Call back",
+				items: [{ idx: 1, item: "A" }, { idx: 2 }],
+			}
+			expect(missingFields(fields, doc, { childFields })).toEqual({
+				"items.2.item": "Row 2: Item is required",
+			})
+		})
+	})
+
+	describe("fieldErrors", () => {
+		const fields = [
+			{ fieldname: "description", label: "Description" },
+			{ fieldname: "allocated_to", label: "Allocated To" },
+		]
+
+		it("should map a MandatoryError onto the missing fields", () => {
+			const error = {
+				exc_type: "MandatoryError",
+				exc: "Traceback...\nfrappe.exceptions.MandatoryError: [ToDo, new-todo-1]: description",
+				messages: ["Error: Value missing for ToDo: Description"],
+			}
+			expect(fieldErrors(error, fields)).toEqual({
+				fields: { description: "Description is required" },
+				messages: [],
+			})
+		})
+
+		it("should match messages by the label they mention", () => {
+			const error = {
+				exc_type: "LinkValidationError",
+				messages: [
+					"Could not find <strong>Allocated To</strong>: nobody@example.com",
+					"Something else went wrong",
+				],
+			}
+			expect(fieldErrors(error, fields)).toEqual({
+				fields: {
+					allocated_to: "Could not find Allocated To: nobody@example.com",
+				},
+				messages: ["Something else went wrong"],
+			})
+		})
+	})
+
+	describe("formLayout", () => {
+		it("should group fields into sections and columns", () => {
+			const layout = formLayout([
+				{ fieldname: "subject", fieldtype: "Data" },
+				{ fieldname: "col", fieldtype: "Column Break" },
+				{ fieldname: "status", fieldtype: "Select" },
+				{ fieldname: "details", fieldtype: "Section Break", label: "Details" },
+				{ fieldname: "description", fieldtype: "Text Editor" },
+				{ fieldname: "empty", fieldtype: "Section Break", label: "Empty" },
+			])
+			expect(layout).toHaveLength(2)
+			expect(layout[0].columns.map((column) => column.length)).toEqual([1, 1])
+			expect(layout[1].field.label).toBe("Details")
+			expect(layout[1].columns[0][0].fieldname).toBe("description")
+		})
+	})
+})
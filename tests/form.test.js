@@ -0,0 +1,132 @@
+import { beforeEach, describe, expect, it, vi } from "vitest"
+import { reactive } from "vue"
+
+const saved = "2026-01-01 10:00:00.000000"
+const later = "2026-01-01 11:00:00.000000"
+
+const socket = reactive({ status: "connected", connected: true })
+const server = vi.fn()
+
+vi.mock("frappe-ui", () => ({
+	dayjs: vi.fn(),
+	getCachedResource: vi.fn(),
+}))
+vi.mock("../src/socket", () => ({
+	useSocket: () => socket,
+}))
+vi.mock("../src/data/session", () => ({
+	session: { user: "jane@example.com" },
+}))
+vi.mock("../src/translation", () => ({
+	__: (text) => text,
+}))
+vi.mock("../src/data/meta", () => ({
+	loadMeta: async () => ({
+		name: "ToDo",
+		fields: [{ fieldname: "description", fieldtype: "Data" }],
+	}),
+}))
+vi.mock("../src/fetcher", () => ({
+	isSessionError: () => false,
+	resourceFetcher: vi.fn(),
+}))
+
+const { resourceFetcher } = await import("../src/fetcher")
+const { network, queueWrites, syncQueue } = await import("../src/offline")
+const { useDocForm } = await import("../src/form")
+
+// the server's ToDos by name
+let todos
+const copy = (value) => JSON.parse(JSON.stringify(value))
+
+function respond({ url, params }) {
+	if (url === "frappe.client.get") {
+		return copy(todos[params.name])
+	}
+	if (url === "frappe.client.get_value") {
+		return { modified: todos[params.filters].modified }
+	}
+	if (url === "frappe.client.save") {
+		const { __islocal, ...doc } = copy(params.doc)
+		if (!doc.name || __islocal) {
+			doc.name = `T-${Object.keys(todos).length + 1}`
+		} else if (doc.modified !== todos[doc.name].modified) {
+			throw Object.assign(new Error("Document has been modified"), {
+				exc_type: "TimestampMismatchError",
+			})
+		}
+		doc.modified = later
+		todos[doc.name] = doc
+		return copy(doc)
+	}
+	throw new Error(`Unexpected call to ${url}`)
+}
+
+async function open(name, options) {
+	const form = useDocForm("ToDo", name, options)
+	await vi.waitUntil(() => form.doc)
+	return form
+}
+
+describe("Offline Form Saves", () => {
+	beforeEach(() => {
+		todos = {
+			"T-1": { doctype: "ToDo", name: "T-1", modified: saved, description: "" },
+		}
+		socket.status = "connected"
+		network.queue = []
+		server.mockReset().mockImplementation(async (options) => respond(options))
+		resourceFetcher.mockImplementation((options) =>
+			queueWrites(options, server),
+		)
+	})
+
+	it("should move the form onto the version its queued save made", async () => {
+		const form = await open("T-1")
+
+		socket.status = "offline"
+		form.setValue("description", "Offline")
+		expect(await form.save()).toBeNull()
+		expect(network.queue).toHaveLength(1)
+		expect(form.isDirty).toBe(false)
+
+		socket.status = "connected"
+		await syncQueue()
+		expect(network.queue).toHaveLength(0)
+		expect(form.doc.modified).toBe(later)
+		expect(form.isDirty).toBe(false)
+		expect(form.messages).toEqual([])
+
+		// the next save is made to the version on the server
+		form.setValue("description", "Online")
+		const doc = await form.save()
+		expect(doc.description).toBe("Online")
+		expect(todos["T-1"].description).toBe("Online")
+	})
+
+	it("should give a new document its name once synced", async () => {
+		const onSynced = vi.fn()
+		const form = await open("new", { onSynced })
+
+		socket.status = "offline"
+		form.setValue("description", "Offline")
+		await form.save()
+		// changed again before the connection is back
+		form.setValue("description", "Changed since")
+
+		socket.status = "connected"
+		await syncQueue()
+		expect(onSynced).toHaveBeenCalledWith(
+			expect.objectContaining({ name: "T-2", description: "Offline" }),
+		)
+		expect(form.doc.name).toBe("T-2")
+		expect(form.doc.__islocal).toBeUndefined()
+		expect(form.doc.description).toBe("Changed since")
+		expect(form.isDirty).toBe(true)
+
+		// saving again updates the document instead of inserting another
+		await form.save()
+		expect(Object.keys(todos)).toEqual(["T-1", "T-2"])
+		expect(todos["T-2"].description).toBe("Changed since")
+	})
+})
@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest"
+import { fuzzyFilter, fuzzyScore } from "../src/utils/fuzzy"
+
+describe("Fuzzy Matching", () => {
+	it("should match characters in order, ignoring case", () => {
+		expect(fuzzyScore("tdl", "ToDo List")).not.toBeNull()
+		expect(fuzzyScore("ldt", "ToDo List")).toBeNull()
+		expect(fuzzyScore("todos", "ToDo")).toBeNull()
+		expect(fuzzyScore("", "anything")).toBe(0)
+	})
+
+	it("should prefer prefixes, word starts and runs", () => {
+		expect(fuzzyScore("log", "Logout")).toBeGreaterThan(
+			fuzzyScore("log", "Error Log"),
+		)
+		expect(fuzzyScore("note", "Note")).toBeGreaterThan(
+			fuzzyScore("note", "No Template"),
+		)
+		expect(fuzzyScore("si", "Sales Invoice")).toBeGreaterThan(
+			fuzzyScore("si", "Supplier Site"),
+		)
+	})
+
+	it("should sort by the best matching key", () => {
+		const commands = [
+			{ title: "Toggle Theme", keywords: ["dark mode"] },
+			{ title: "Logout", keywords: ["sign out"] },
+			{ title: "Home", keywords: [] },
+		]
+		const keys = (command) => [command.title, ...command.keywords]
+		expect(fuzzyFilter(commands, "dark", keys)).toEqual([commands[0]])
+		expect(
+			fuzzyFilter(commands, "oe", keys).map((command) => command.title),
+		).toEqual(["Home", "Toggle Theme"])
+		expect(fuzzyFilter(["ToDo", "Note"], "zz")).toEqual([])
+	})
+})
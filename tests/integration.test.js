@@ -152,13 +152,12 @@ describe("Project Integration Tests", () => {
 			expect(socketContent).toContain("export function useSocket")
 		})
 
-		it("should reference the placeholder config path", () => {
+		it("should resolve the socket URL at runtime", () => {
 			const socketContent = fs.readFileSync("src/socket.js", "utf8")
 
-			// Check that it references the placeholder path
-			expect(socketContent).toContain(
-				"../../../../sites/common_site_config.json",
-			)
+			// Importing the bench's config would tie the build to one bench
+			expect(socketContent).not.toContain("common_site_config.json")
+			expect(socketContent).toContain("export function socketUrl")
 		})
 	})
 })
@@ -0,0 +1,111 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+
+const tasks = {}
+
+vi.mock("frappe-ui", () => ({ call: vi.fn() }))
+vi.mock("../src/realtime", () => ({
+	subscribeTask: (id, callback) => {
+		tasks[id] = callback
+		return () => delete tasks[id]
+	},
+}))
+
+const { call } = await import("frappe-ui")
+const { useJob } = await import("../src/jobs")
+
+const storage = new Map()
+
+describe("Background Jobs", () => {
+	beforeEach(() => {
+		vi.useFakeTimers()
+		storage.clear()
+		global.localStorage = {
+			getItem: (key) => storage.get(key) ?? null,
+			setItem: (key, value) => storage.set(key, value),
+			removeItem: (key) => storage.delete(key),
+		}
+		call.mockReset()
+	})
+
+	afterEach(() => {
+		vi.useRealTimers()
+	})
+
+	it("should keep the percent when progress comes without one", async () => {
+		call.mockResolvedValueOnce("job-1")
+		const job = useJob("app.api.start", { heartbeat: 1000 })
+		await job.start()
+
+		tasks["job-1"]({ event: "progress", percent: 40 })
+		expect(job.percent).toBe(40)
+		tasks["job-1"]({ event: "progress", description: "Still going" })
+		expect(job.percent).toBe(40)
+		expect(job.messages).toEqual(["Still going"])
+	})
+
+	it("should ask for the status of a job that went quiet", async () => {
+		call.mockResolvedValueOnce("job-2")
+		const job = useJob("app.api.start", { heartbeat: 1000 })
+		await job.start()
+		expect(job.status).toBe("queued")
+
+		call.mockResolvedValueOnce({ status: "started" })
+		await vi.advanceTimersByTimeAsync(1000)
+		expect(call).toHaveBeenLastCalledWith(expect.any(String), {
+			job_id: "job-2",
+		})
+		expect(job.status).toBe("running")
+
+		call.mockResolvedValueOnce({ status: "failed", exc_info: "Traceback" })
+		await vi.advanceTimersByTimeAsync(1000)
+		expect(job.status).toBe("failed")
+		expect(job.traceback).toBe("Traceback")
+		expect(storage.size).toBe(0)
+
+		// nothing is asked once the job is over
+		await vi.advanceTimersByTimeAsync(5000)
+		expect(call).toHaveBeenCalledTimes(3)
+	})
+
+	it("should forget a job the user can't see", async () => {
+		storage.set("job:app.api.start", "job-3")
+		call.mockRejectedValueOnce(
+			Object.assign(new Error("Not permitted"), {
+				exc_type: "PermissionError",
+			}),
+		)
+		const job = useJob("app.api.start")
+		expect(job.status).toBe("running")
+		await vi.advanceTimersByTimeAsync(0)
+		expect(job.status).toBe("idle")
+		expect(storage.size).toBe(0)
+	})
+
+	it("should leave the job alone when its status can't be read", async () => {
+		call.mockResolvedValueOnce("job-4")
+		const job = useJob("app.api.start", { heartbeat: 1000 })
+		await job.start()
+
+		call.mockRejectedValueOnce(
+			Object.assign(new Error("Method not found"), {
+				exc_type: "AttributeError",
+			}),
+		)
+		await vi.advanceTimersByTimeAsync(1000)
+		expect(job.status).toBe("queued")
+		expect(job.error).toBe(null)
+		expect(storage.get("job:app.api.start")).toBe("job-4")
+
+		// no more asking until the job speaks again
+		await vi.advanceTimersByTimeAsync(5000)
+		expect(call).toHaveBeenCalledTimes(2)
+
+		tasks["job-4"]({
+			event: "task_status_change",
+			status: "Finished",
+			result: 42,
+		})
+		expect(job.status).toBe("finished")
+		expect(job.result).toBe(42)
+	})
+})
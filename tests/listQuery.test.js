@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest"
+import { buildFilters, listQuery, parseListQuery } from "../src/utils/listQuery"
+
+describe("List Query", () => {
+	describe("parseListQuery", () => {
+		it("should fall back to the defaults", () => {
+			expect(parseListQuery({})).toEqual({
+				filters: {},
+				orderBy: "modified desc",
+				page: 1,
+				pageLength: 20,
+			})
+			expect(
+				parseListQuery({}, { orderBy: "date asc", pageLength: 50 }),
+			).toMatchObject({ orderBy: "date asc", pageLength: 50 })
+		})
+
+		it("should treat every other key as a filter", () => {
+			expect(
+				parseListQuery({
+					status: "Open",
+					owner: "",
+					order_by: "priority asc",
+					page: "3",
+					page_length: "100",
+				}),
+			).toEqual({
+				filters: { status: "Open" },
+				orderBy: "priority asc",
+				page: 3,
+				pageLength: 100,
+			})
+		})
+
+		it("should ignore invalid pages", () => {
+			expect(parseListQuery({ page: "0" }).page).toBe(1)
+			expect(parseListQuery({ page: "abc" }).page).toBe(1)
+		})
+	})
+
+	describe("listQuery", () => {
+		it("should leave out the defaults", () => {
+			expect(
+				listQuery({
+					filters: { status: "Open", owner: "" },
+					orderBy: "modified desc",
+					page: 1,
+					pageLength: 20,
+				}),
+			).toEqual({ status: "Open" })
+		})
+
+		it("should round-trip through parseListQuery", () => {
+			const state = {
+				filters: { status: "Closed" },
+				orderBy: "creation asc",
+				page: 2,
+				pageLength: 50,
+			}
+			expect(parseListQuery(listQuery(state))).toEqual(state)
+		})
+	})
+
+	describe("buildFilters", () => {
+		const fields = [
+			{ fieldname: "description", fieldtype: "Text Editor" },
+			{ fieldname: "status", fieldtype: "Select" },
+			{ fieldname: "is_group", fieldtype: "Check" },
+		]
+
+		it("should match text anywhere and everything else exactly", () => {
+			expect(
+				buildFilters(
+					{ name: "TODO", description: "call", status: "Open", is_group: "1" },
+					fields,
+				),
+			).toEqual({
+				name: ["like", "%TODO%"],
+				description: ["like", "%call%"],
+				status: "Open",
+				is_group: 1,
+			})
+		})
+	})
+})
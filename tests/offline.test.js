@@ -0,0 +1,113 @@
+import { describe, expect, it } from "vitest"
+import {
+	followOn,
+	isConflict,
+	overwrite,
+	queueEntry,
+	rebase,
+	writeTarget,
+} from "../src/utils/offline"
+
+const saved = "2026-01-01 10:00:00.000000"
+const later = "2026-01-01 11:00:00.000000"
+
+describe("Offline Queue", () => {
+	it("should find the document a write changes", () => {
+		expect(
+			writeTarget({ doc: { doctype: "ToDo", name: "T-1", modified: saved } }),
+		).toEqual({ doctype: "ToDo", name: "T-1", modified: saved })
+		expect(
+			writeTarget({ doc: JSON.stringify({ doctype: "ToDo", __islocal: 1 }) }),
+		).toEqual({ doctype: "ToDo", name: null, modified: null })
+		expect(
+			writeTarget({
+				doctype: "ToDo",
+				name: "T-1",
+				fieldname: { status: "Closed" },
+			}),
+		).toEqual({ doctype: "ToDo", name: "T-1", modified: null })
+	})
+
+	it("should spot changes made on the server meanwhile", () => {
+		const entry = queueEntry({
+			url: "frappe.client.set_value",
+			params: { doctype: "ToDo", name: "T-1", fieldname: "status" },
+			modified: saved,
+		})
+		expect(entry.status).toBe("pending")
+		expect(isConflict(entry, saved)).toBe(false)
+		expect(isConflict(entry, later)).toBe(true)
+		// new documents and unknown versions can't conflict
+		expect(isConflict({ ...entry, modified: null }, later)).toBe(false)
+		expect(isConflict({ ...entry, name: null }, later)).toBe(false)
+	})
+
+	it("should overwrite the server's version", () => {
+		const entry = {
+			...queueEntry({
+				url: "frappe.client.save",
+				params: { doc: { doctype: "ToDo", name: "T-1", modified: saved } },
+			}),
+			status: "conflict",
+			error: "Document has been modified",
+		}
+		const again = overwrite(entry, later)
+		expect(again).toMatchObject({
+			modified: later,
+			status: "pending",
+			error: null,
+		})
+		expect(again.params.doc.modified).toBe(later)
+		expect(entry.params.doc.modified).toBe(saved)
+	})
+
+	it("should move later writes to the same document onto the saved version", () => {
+		const save = (name) =>
+			queueEntry({
+				url: "frappe.client.save",
+				params: { doc: { doctype: "ToDo", name, modified: saved } },
+			})
+		const queue = [save("T-1"), save("T-2"), save("T-1")]
+		const next = followOn(queue, queue[0], later)
+		expect(next[0]).toBe(queue[0])
+		expect(next[1]).toBe(queue[1])
+		expect(next[2].modified).toBe(later)
+		expect(next[2].params.doc.modified).toBe(later)
+		expect(followOn(queue, queue[0], undefined)).toBe(queue)
+	})
+
+	it("should move later changes onto the saved document", () => {
+		const doc = {
+			doctype: "ToDo",
+			__islocal: 1,
+			description: "Changed since",
+			items: [
+				{ name: "R-1", idx: 1, note: "kept" },
+				{ idx: 2, note: "new", __islocal: 1 },
+				{ idx: 3, note: "newer", __islocal: 1 },
+			],
+		}
+		const saved = {
+			doctype: "ToDo",
+			name: "T-1",
+			modified: later,
+			description: "Queued",
+			items: [
+				{ name: "R-1", idx: 1, parent: "T-1" },
+				{ name: "R-2", idx: 2, parent: "T-1" },
+			],
+		}
+		const rebased = rebase(doc, saved)
+		expect(rebased).toMatchObject({
+			name: "T-1",
+			modified: later,
+			description: "Changed since",
+		})
+		expect(rebased.__islocal).toBeUndefined()
+		expect(rebased.items).toEqual([
+			{ name: "R-1", idx: 1, note: "kept" },
+			{ name: "R-2", idx: 2, note: "new", parent: "T-1" },
+			{ idx: 3, note: "newer", __islocal: 1 },
+		])
+	})
+})
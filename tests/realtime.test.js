@@ -0,0 +1,110 @@
+import { beforeEach, describe, expect, it, vi } from "vitest"
+
+const socket = {
+	connected: true,
+	handlers: {},
+	emit: vi.fn(),
+	on(event, handler) {
+		this.handlers[event] = handler
+	},
+}
+
+vi.mock("frappe-ui", () => ({
+	createDocumentResource: vi.fn(),
+	createListResource: vi.fn(),
+}))
+vi.mock("../src/socket", () => ({
+	useSocket: () => ({ socket }),
+}))
+
+const { subscribeDoc, subscribeDoctype, subscribeViewers } = await import(
+	"../src/realtime"
+)
+
+describe("Realtime Subscriptions", () => {
+	beforeEach(() => {
+		socket.connected = true
+		socket.emit.mockClear()
+	})
+
+	it("should join a document room once for duplicate subscriptions", () => {
+		const first = subscribeDoc("ToDo", "TODO-1", vi.fn())
+		const second = subscribeDoc("ToDo", "TODO-1", vi.fn())
+
+		expect(socket.emit).toHaveBeenCalledTimes(1)
+		expect(socket.emit).toHaveBeenCalledWith("doc_subscribe", "ToDo", "TODO-1")
+
+		first()
+		expect(socket.emit).toHaveBeenCalledTimes(1)
+
+		second()
+		expect(socket.emit).toHaveBeenLastCalledWith(
+			"doc_unsubscribe",
+			"ToDo",
+			"TODO-1",
+		)
+	})
+
+	it("should ignore unsubscribing twice", () => {
+		const first = subscribeDoc("ToDo", "TODO-2", vi.fn())
+		const second = subscribeDoc("ToDo", "TODO-2", vi.fn())
+
+		first()
+		first()
+		expect(socket.emit).not.toHaveBeenCalledWith(
+			"doc_unsubscribe",
+			"ToDo",
+			"TODO-2",
+		)
+		second()
+	})
+
+	it("should deliver updates to every subscriber of the room", () => {
+		const first = vi.fn()
+		const second = vi.fn()
+		const other = vi.fn()
+		const stops = [
+			subscribeDoctype("ToDo", first),
+			subscribeDoctype("ToDo", second),
+			subscribeDoctype("Note", other),
+		]
+
+		socket.handlers.list_update({ doctype: "ToDo", name: "TODO-3" })
+		expect(first).toHaveBeenCalledWith({ doctype: "ToDo", name: "TODO-3" })
+		expect(second).toHaveBeenCalledTimes(1)
+		expect(other).not.toHaveBeenCalled()
+
+		for (const stop of stops) {
+			stop()
+		}
+	})
+
+	it("should rejoin rooms after reconnecting", () => {
+		socket.connected = false
+		const stop = subscribeDoc("ToDo", "TODO-4", vi.fn())
+		expect(socket.emit).not.toHaveBeenCalled()
+
+		socket.connected = true
+		socket.handlers.connect()
+		expect(socket.emit).toHaveBeenCalledWith("doc_subscribe", "ToDo", "TODO-4")
+
+		stop()
+	})
+
+	it("should announce an open document and route its viewers", () => {
+		const callback = vi.fn()
+		const stop = subscribeViewers("ToDo", "TODO-5", callback)
+		expect(socket.emit).toHaveBeenCalledWith("doc_open", "ToDo", "TODO-5")
+
+		const viewers = {
+			doctype: "ToDo",
+			docname: "TODO-5",
+			users: ["Administrator", "jane@example.com"],
+		}
+		socket.handlers.doc_viewers(viewers)
+		expect(callback).toHaveBeenCalledWith(viewers)
+
+		stop()
+		expect(socket.emit).toHaveBeenLastCalledWith("doc_close", "ToDo", "TODO-5")
+	})
+})
@@ -0,0 +1,68 @@
+import { beforeAll, describe, expect, it } from "vitest"
+import { redirectQuery, sanitizeRedirect } from "../src/utils/redirect"
+
+describe("Login Redirect", () => {
+	beforeAll(() => {
+		window.location.origin = "http://localhost:3000"
+	})
+
+	describe("sanitizeRedirect", () => {
+		it("should keep router paths with query and hash", () => {
+			expect(sanitizeRedirect("/todos/1?tab=info#notes")).toBe(
+				"/todos/1?tab=info#notes",
+			)
+		})
+
+		it("should strip the history base", () => {
+			expect(sanitizeRedirect("/frontend/todos/1")).toBe("/todos/1")
+			expect(sanitizeRedirect("/frontend")).toBe("/")
+		})
+
+		it("should accept same-origin URLs under the history base", () => {
+			expect(sanitizeRedirect("http://localhost:3000/frontend/todos")).toBe(
+				"/todos",
+			)
+		})
+
+		it("should reject same-origin URLs outside the history base", () => {
+			expect(sanitizeRedirect("http://localhost:3000/app/todo")).toBeNull()
+			expect(sanitizeRedirect("http://localhost:3000/frontendx")).toBeNull()
+		})
+
+		it("should reject redirects to other origins", () => {
+			expect(sanitizeRedirect("https://evil.com/frontend")).toBeNull()
+			expect(sanitizeRedirect("//evil.com/frontend")).toBeNull()
+			expect(sanitizeRedirect("/\\evil.com")).toBeNull()
+			expect(sanitizeRedirect("javascript:alert(1)")).toBeNull()
+		})
+
+		it("should ignore empty and non-string values", () => {
+			expect(sanitizeRedirect(undefined)).toBeNull()
+			expect(sanitizeRedirect("")).toBeNull()
+			expect(sanitizeRedirect(["/todos"])).toBeNull()
+		})
+
+		it("should respect a custom history base", () => {
+			expect(sanitizeRedirect("/portal/orders", "/portal")).toBe("/orders")
+		})
+	})
+
+	describe("redirectQuery", () => {
+		it("should remember the full path of the requested route", () => {
+			const route = { name: "Todo", path: "/todos/1", fullPath: "/todos/1?a=1" }
+			expect(redirectQuery(route)).toEqual({ redirect: "/todos/1?a=1" })
+		})
+
+		it("should not add a redirect for Home or public pages", () => {
+			expect(redirectQuery({ path: "/", fullPath: "/" })).toEqual({})
+			expect(
+				redirectQuery({
+					name: "Login",
+					path: "/account/login",
+					fullPath: "/account/login",
+					meta: { public: true },
+				}),
+			).toEqual({})
+		})
+	})
+})
@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest"
+import { createMemoryHistory, createRouter } from "vue-router"
+import { routeBreadcrumbs, routeTitle } from "../src/utils/routeMeta"
+
+const component = { render: () => null }
+const router = createRouter({
+	history: createMemoryHistory(),
+	routes: [
+		{ name: "Home", path: "/", component, meta: { label: "Home" } },
+		{
+			name: "List",
+			path: "/list/:doctype",
+			component,
+			meta: { title: (route) => route.params.doctype },
+		},
+		{
+			name: "Form",
+			path: "/form/:doctype/:name",
+			component,
+			meta: {
+				title: (route) => route.params.name,
+				parent: (route) => ({
+					name: "List",
+					params: { doctype: route.params.doctype },
+				}),
+			},
+		},
+		{
+			name: "Settings",
+			path: "/settings",
+			component,
+			meta: { title: "Settings" },
+			children: [
+				{ path: "", component },
+				{
+					name: "Profile",
+					path: "profile",
+					component,
+					meta: { title: "Profile" },
+				},
+			],
+		},
+		{ name: "Untitled", path: "/untitled", component },
+	],
+})
+const resolve = (location) => router.resolve(location)
+
+describe("Route Meta", () => {
+	it("should take the title from meta.title, a function or meta.label", () => {
+		expect(routeTitle(resolve("/"))).toBe("Home")
+		expect(routeTitle(resolve("/list/ToDo"))).toBe("ToDo")
+		expect(routeTitle(resolve("/untitled"))).toBeNull()
+	})
+
+	it("should put meta.parent before flat routes", () => {
+		expect(routeBreadcrumbs(resolve("/form/ToDo/TD-1"), resolve)).toEqual([
+			{ label: "ToDo", route: "/list/ToDo" },
+			{ label: "TD-1", route: "/form/ToDo/TD-1" },
+		])
+	})
+
+	it("should follow nested routes", () => {
+		expect(routeBreadcrumbs(resolve("/settings/profile"), resolve)).toEqual([
+			{ label: "Settings", route: "/settings" },
+			{ label: "Profile", route: "/settings/profile" },
+		])
+		expect(routeBreadcrumbs(resolve("/settings"), resolve)).toEqual([
+			{ label: "Settings", route: "/settings" },
+		])
+	})
+})
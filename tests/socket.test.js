@@ -0,0 +1,78 @@
+import { describe, expect, it, vi } from "vitest"
+import { isReactive } from "vue"
+import { initSocket, socketUrl, useSocket } from "../src/socket"
+
+vi.mock("socket.io-client", () => ({
+	io: vi.fn(() => ({
+		on: vi.fn(),
+		io: { on: vi.fn() },
+		disconnect: vi.fn(),
+	})),
+}))
+
+vi.mock("../src/data/boot", () => ({
+	boot: { siteName: "test-site", socketioPort: null, socketioUrl: null },
+}))
+
+describe("Socket URL", () => {
+	it("should use socketio_port on a bench", () => {
+		const location = { protocol: "http:", hostname: "todo.test", port: "8080" }
+
+		expect(socketUrl({ location, devServer: true })).toBe(
+			"http://todo.test:9000/test-site",
+		)
+		expect(socketUrl({ location, port: 9001, devServer: false })).toBe(
+			"http://todo.test:9001/test-site",
+		)
+	})
+
+	it("should use the page's origin in production", () => {
+		const location = {
+			protocol: "https:",
+			hostname: "todo.example.com",
+			port: "",
+			origin: "https://todo.example.com",
+		}
+
+		expect(
+			socketUrl({ location, siteName: "todo.example.com", devServer: false }),
+		).toBe("https://todo.example.com/todo.example.com")
+	})
+
+	it("should keep the page's port in production", () => {
+		const location = {
+			protocol: "https:",
+			hostname: "erp.example.com",
+			port: "8443",
+			origin: "https://erp.example.com:8443",
+		}
+
+		expect(socketUrl({ location, devServer: false })).toBe(
+			"https://erp.example.com:8443/test-site",
+		)
+	})
+
+	it("should prefer an explicit socketio_url", () => {
+		const location = { protocol: "http:", hostname: "todo.test", port: "8080" }
+
+		expect(socketUrl({ location, url: "https://realtime.example.com/" })).toBe(
+			"https://realtime.example.com/test-site",
+		)
+	})
+})
+
+describe("Socket Connection", () => {
+	it("should keep the socket out of reactivity and listen to the browser once", () => {
+		window.addEventListener = vi.fn()
+
+		const first = initSocket()
+		const second = initSocket()
+
+		expect(first.disconnect).toHaveBeenCalled()
+		expect(useSocket().socket).toBe(second)
+		expect(isReactive(useSocket().socket)).toBe(false)
+		expect(
+			window.addEventListener.mock.calls.map(([event]) => event).sort(),
+		).toEqual(["offline", "online"])
+	})
+})
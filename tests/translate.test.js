@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest"
+import { formatMessage, isRTL, translate } from "../src/utils/translate"
+
+const messages = {
+	Save: "Speichern",
+	"Welcome {0}!": "Willkommen {0}!",
+	"Open:Status": "Offen",
+	Open: "Öffnen",
+}
+
+describe("Translation", () => {
+	it("should fall back to the message itself", () => {
+		expect(translate(messages, "Save")).toBe("Speichern")
+		expect(translate(messages, "Cancel")).toBe("Cancel")
+	})
+
+	it("should prefer a translation for the context", () => {
+		expect(translate(messages, "Open", null, "Status")).toBe("Offen")
+		expect(translate(messages, "Open", null, "Menu")).toBe("Öffnen")
+		expect(translate(messages, "Open")).toBe("Öffnen")
+	})
+
+	it("should fill in placeholders", () => {
+		expect(translate(messages, "Welcome {0}!", ["Jane"])).toBe(
+			"Willkommen Jane!",
+		)
+		expect(formatMessage("{1} of {0}", [10, 3])).toBe("3 of 10")
+		expect(formatMessage("{0} and {1}", ["one"])).toBe("one and {1}")
+	})
+
+	it("should know which languages are written right to left", () => {
+		expect(isRTL("ar")).toBe(true)
+		expect(isRTL("fa")).toBe(true)
+		expect(isRTL("ar-SA")).toBe(true)
+		expect(isRTL("en")).toBe(false)
+		expect(isRTL(null)).toBe(false)
+	})
+})
@@ -0,0 +1,230 @@
+import { beforeEach, describe, expect, it, vi } from "vitest"
+
+vi.mock("../src/data/boot", () => ({ boot: { csrfToken: "token" } }))
+vi.mock("../src/data/session", () => ({ sessionExpired: vi.fn() }))
+vi.mock("../src/fetcher", () => ({ isSessionError: () => false }))
+vi.mock("../src/translation", () => ({
+	__: (text, args = []) => text.replace(/\{(\d+)\}/g, (_, i) => args[i]),
+}))
+
+const { useFileUpload } = await import("../src/upload")
+const { acceptsFile, formatSize, serverMessages, uploadId, validateFile } =
+	await import("../src/utils/upload")
+
+// the requests sent, last one last
+let requests
+
+class FakeRequest {
+	upload = {}
+
+	open(method, url) {
+		this.url = url
+	}
+
+	setRequestHeader() {}
+
+	send(form) {
+		this.form = form
+		requests.push(this)
+	}
+
+	abort() {
+		this.onabort()
+	}
+
+	progress(loaded, total) {
+		this.upload.onprogress({ lengthComputable: true, loaded, total })
+	}
+
+	respond(status, body) {
+		this.status = status
+		this.responseText = JSON.stringify(body)
+		this.onload()
+	}
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve))
+
+const file = (name, type, size = 10) => ({
+	name,
+	type,
+	size,
+	lastModified: 1700000000000,
+})
+
+describe("File Upload", () => {
+	it("should format sizes", () => {
+		expect(formatSize(512)).toBe("512 B")
+		expect(formatSize(1536)).toBe("1.5 KB")
+		expect(formatSize(5 * 1024 * 1024)).toBe("5 MB")
+	})
+
+	it("should match extensions, wildcards and exact types", () => {
+		const photo = file("Photo.JPG", "image/jpeg")
+		expect(acceptsFile(photo, "")).toBe(true)
+		expect(acceptsFile(photo, ".jpg")).toBe(true)
+		expect(acceptsFile(photo, "image/*")).toBe(true)
+		expect(acceptsFile(photo, "image/png, .pdf")).toBe(false)
+		expect(acceptsFile(file("a.csv", "text/csv"), "image/*,text/csv")).toBe(
+			true,
+		)
+	})
+
+	it("should say why a file can't be uploaded", () => {
+		const big = file("big.pdf", "application/pdf", 3 * 1024 * 1024)
+		expect(validateFile(big, { accept: ".pdf" })).toBeNull()
+		expect(validateFile(big, { accept: "image/*" })).toContain(
+			"not an accepted file type",
+		)
+		expect(validateFile(big, { maxSize: 2 * 1024 * 1024 })).toBe(
+			"big.pdf is larger than 2 MB",
+		)
+	})
+
+	it("should give the same file the same upload id", () => {
+		expect(uploadId(file("a.pdf", "application/pdf"))).toBe(
+			uploadId(file("a.pdf", "application/pdf")),
+		)
+		expect(uploadId(file("a.pdf", "application/pdf", 11))).not.toBe(
+			uploadId(file("a.pdf", "application/pdf")),
+		)
+	})
+
+	it("should read the messages of an error response", () => {
+		expect(
+			serverMessages({
+				_server_messages: JSON.stringify([
+					JSON.stringify({
+						message:
+							"File size exceeded the maximum allowed size of <b>10 MB</b>",
+					}),
+				]),
+			}),
+		).toEqual(["File size exceeded the maximum allowed size of 10 MB"])
+		expect(
+			serverMessages({
+				exception: "frappe.exceptions.PermissionError: Not allowed",
+			}),
+		).toEqual(["Not allowed"])
+		expect(serverMessages({})).toEqual([])
+	})
+})
+
+describe("useFileUpload", () => {
+	const pdf = (size) =>
+		new File(["x".repeat(size)], "report.pdf", {
+			type: "application/pdf",
+			lastModified: 1700000000000,
+		})
+
+	beforeEach(() => {
+		requests = []
+		global.XMLHttpRequest = FakeRequest
+	})
+
+	it("should show the share of the request sent", async () => {
+		const upload = useFileUpload({ doctype: "ToDo", docname: "T-1" })
+		const [item] = upload.add([pdf(10)])
+		const done = upload.start(item)
+
+		// the request is bigger than the file, it holds the other fields too
+		requests[0].progress(30, 60)
+		expect(item.progress).toBe(50)
+		requests[0].progress(60, 60)
+		expect(item.progress).toBe(100)
+
+		requests[0].respond(200, { message: { name: "F-1" } })
+		expect(await done).toEqual({ name: "F-1" })
+		expect(item.status).toBe("done")
+		expect(requests[0].url).toBe("/api/method/upload_file")
+		expect(requests[0].form.get("docname")).toBe("T-1")
+	})
+
+	it("should send big files in pieces", async () => {
+		const upload = useFileUpload({
+			chunkSize: 4,
+			chunkMethod: "app.api.upload_chunk",
+		})
+		const [item] = upload.add([pdf(10)])
+		const done = upload.start(item)
+
+		requests[0].progress(50, 100)
+		expect(item.progress).toBe(20)
+		requests[0].respond(200, { message: { offset: 4 } })
+		await flush()
+		expect(item.progress).toBe(40)
+
+		expect(requests[1].form.get("offset")).toBe("4")
+		expect(requests[1].form.get("file").size).toBe(4)
+		requests[1].respond(200, { message: { offset: 8 } })
+		await flush()
+
+		expect(requests[2].form.get("file").size).toBe(2)
+		requests[2].progress(100, 100)
+		expect(item.progress).toBe(100)
+		requests[2].respond(200, { message: { file: { name: "F-2" } } })
+		expect(await done).toEqual({ name: "F-2" })
+		expect(requests.map((request) => request.url)).toEqual(
+			Array(3).fill("/api/method/app.api.upload_chunk"),
+		)
+		expect(
+			new Set(requests.map((request) => request.form.get("upload_id"))).size,
+		).toBe(1)
+	})
+
+	it("should resume from the piece the server has", async () => {
+		const upload = useFileUpload({
+			chunkSize: 4,
+			chunkMethod: "app.api.upload_chunk",
+		})
+		const [item] = upload.add([pdf(10)])
+		let done = upload.start(item)
+		requests[0].respond(200, { message: { offset: 4 } })
+		await flush()
+		requests[1].respond(500, { exception: "Exception: Disk full" })
+		expect(await done).toBeNull()
+		expect(item.status).toBe("failed")
+		expect(item.error).toBe("Disk full")
+
+		done = upload.start(item)
+		expect(requests[2].form.get("offset")).toBe("4")
+		// the server had the piece after all, and skips ahead
+		requests[2].respond(200, { message: { offset: 8 } })
+		await flush()
+		expect(requests[3].form.get("offset")).toBe("8")
+		requests[3].respond(200, { message: { file: { name: "F-3" } } })
+		expect(await done).toEqual({ name: "F-3" })
+		expect(requests).toHaveLength(4)
+	})
+
+	it("should cancel a running upload", async () => {
+		const upload = useFileUpload({
+			chunkSize: 4,
+			chunkMethod: "app.api.upload_chunk",
+		})
+		const [item] = upload.add([pdf(10)])
+		let done = upload.start(item)
+		requests[0].respond(200, { message: { offset: 4 } })
+		await flush()
+		upload.cancel(item)
+		expect(await done).toBeNull()
+		expect(item.status).toBe("cancelled")
+		expect(upload.uploading).toBe(false)
+
+		// cancelling again does nothing, starting again resumes
+		upload.cancel(item)
+		done = upload.start(item)
+		expect(requests[2].form.get("offset")).toBe("4")
+		upload.remove(item)
+		expect(await done).toBeNull()
+		expect(upload.items).toEqual([])
+	})
+
+	it("should only remove the item given", () => {
+		const upload = useFileUpload()
+		const [first, second] = upload.add([pdf(1), pdf(2)])
+		upload.remove(first)
+		upload.remove(first)
+		expect(upload.items).toEqual([second])
+	})
+})
@@ -2,6 +2,8 @@ import path from "node:path"
 import vue from "@vitejs/plugin-vue"
 import frappeui from "frappe-ui/vite"
 import { defineConfig } from "vite"
+import app from "./src/app"
+import pwa from "./vite/pwa"
 
 // https://vitejs.dev/config/
 export default defineConfig({
@@ -18,6 +20,7 @@ export default defineConfig({
 			},
 		}),
 		vue(),
+		pwa({ app, scope: "/frontend/" }),
 	],
 	build: {
 		chunkSizeWarningLimit: 1500,
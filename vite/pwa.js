@@ -0,0 +1,111 @@
+import { createHash } from "node:crypto"
+import { readFileSync } from "node:fs"
+import { fileURLToPath } from "node:url"
+
+// Makes the build installable. Emits manifest.webmanifest from the app
+// settings and sw.js, the service worker of src/sw.js with the list of
+// files to precache, and links the manifest from index.html.
+//
+// Frappe serves the build from the base, /assets/<app-name>/frontend/, but
+// a service worker only controls the pages below its own URL. The app has
+// to serve sw.js at <scope>sw.js for it to work, see README.
+export default function pwa({ app, scope = "/frontend/" }) {
+	let base = "/"
+
+	return {
+		name: "frappe-ui-starter-pwa",
+		apply: "build",
+		configResolved(config) {
+			base = config.base
+		},
+		transformIndexHtml() {
+			return [
+				{
+					tag: "link",
+					attrs: { rel: "manifest", href: `${base}manifest.webmanifest` },
+					injectTo: "head",
+				},
+				{
+					tag: "meta",
+					attrs: {
+						name: "theme-color",
+						content: app.themeColor,
+						media: "(prefers-color-scheme: light)",
+					},
+					injectTo: "head",
+				},
+				{
+					tag: "meta",
+					attrs: {
+						name: "theme-color",
+						content: app.darkThemeColor || app.themeColor,
+						media: "(prefers-color-scheme: dark)",
+					},
+					injectTo: "head",
+				},
+				{
+					tag: "link",
+					attrs: {
+						rel: "apple-touch-icon",
+						href: `${base}${app.icons[0].src}`,
+					},
+					injectTo: "head",
+				},
+			]
+		},
+		generateBundle(_, bundle) {
+			const manifest = JSON.stringify(
+				{
+					name: app.name,
+					short_name: app.shortName || app.name,
+					description: app.description,
+					start_url: scope,
+					scope,
+					display: "standalone",
+					theme_color: app.themeColor,
+					background_color: app.backgroundColor,
+					icons: app.icons.map((icon) => ({
+						type: "image/png",
+						...icon,
+						src: `${base}${icon.src}`,
+					})),
+				},
+				null,
+				2,
+			)
+			this.emitFile({
+				type: "asset",
+				fileName: "manifest.webmanifest",
+				source: manifest,
+			})
+
+			// The bundle has the manifest now, but not public/, which is
+			// copied as it is. Fonts come in more weights and formats than a
+			// browser uses, they are cached when first used.
+			const files = [
+				...new Set([
+					...Object.keys(bundle).filter(
+						(file) => !/\.(map|html|woff2?|ttf)$/.test(file),
+					),
+					"favicon.png",
+					...app.icons.map((icon) => icon.src),
+				]),
+			].map((file) => `${base}${file}`)
+			// the chunks are named by their hash, so a new build is a new list
+			const version = createHash("sha256")
+				.update(files.join("\n") + manifest)
+				.digest("hex")
+				.slice(0, 12)
+
+			const worker = readFileSync(
+				fileURLToPath(new URL("../src/sw.js", import.meta.url)),
+				"utf8",
+			)
+			this.emitFile({
+				type: "asset",
+				fileName: "sw.js",
+				source: `self.__BUILD__ = ${JSON.stringify({ version, base, files })}\n\n${worker}`,
+			})
+		},
+	}
+}